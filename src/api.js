@@ -4,8 +4,10 @@
  * file, You can obtain one at https://mozilla.org/MPL/2.0/.
  */
 
+const { Readable } = require('node:stream');
+
+const { NSClient } = require('./client');
 const {
-	NSRequest,
 	NSCredential,
 	DataRequest
 } = require('./requests/base');
@@ -32,12 +34,21 @@ const {
 } = require('./requests/misc');
 const { WACouncil } = require('./enums');
 const {
-	DumpRequest,
 	NationDumpRequest,
 	RegionDumpRequest,
-	CardDumpRequest
+	CardDumpRequest,
+	DumpMode
 } = require('./requests/dump');
+const { DumpDiff } = require('./diff');
+const { DumpArchive } = require('./archive');
+const { HappeningsFeed } = require('./feed');
+const { HappeningsStream } = require('./sse');
+const { HappeningsHistory } = require('./history');
 const dump = require('./requests/dump');
+const { Transport, MockTransport } = require('./requests/transport');
+const { RetryPolicy } = require('./requests/retry');
+const { ResponseCache } = require('./requests/cache');
+const { RateLimiter } = require('./requests/ratelimit');
 
 /**
  * The entry point to any NationScript usage.
@@ -52,7 +63,17 @@ const dump = require('./requests/dump');
  * * {@link module:nationscript/api.setTGClientKey setTGClientKey()} to set
  *   the client key to use for TG API requests,
  * * {@link module:nationscript/api.setDumpDirectory setDumpDirectory()} to set
- *   a custom directory to save local Data Dump copies in.
+ *   a custom directory to save local Data Dump copies in,
+ * * {@link module:nationscript/api.setRateLimiter setRateLimiter()} to share
+ *   a rate-limiter with other clients,
+ * * {@link module:nationscript/api.setTransport setTransport()} to deliver
+ *   requests by other means than HTTPS requests to the NS servers,
+ * * {@link module:nationscript/api.setRetryPolicy setRetryPolicy()} to have
+ *   failed requests automatically retried,
+ * * {@link module:nationscript/api.setCache setCache()} to re-use responses
+ *   to repeated requests,
+ * * {@link module:nationscript/api.setBatchWindow setBatchWindow()} to merge
+ *   requests for the same entity made in quick succession.
  * 
  * It furthermore provides a variety of functions that return new instances of
  * the request subclass fine-tuned for building queries to the corresponding
@@ -82,10 +103,31 @@ const dump = require('./requests/dump');
  *     * {@link module:nationscript/api.nationsFromDump nationsFromDump()}
  *     * {@link module:nationscript/api.regionsFromDump regionsFromDump()}
  *     * {@link module:nationscript/api.cardsFromDump cardsFromDump()}
+ *     * {@link module:nationscript/api.nationsFromFile nationsFromFile()}
+ *     * {@link module:nationscript/api.regionsFromFile regionsFromFile()}
+ *     * {@link module:nationscript/api.cardsFromFile cardsFromFile()}
+ *     * {@link module:nationscript/api.nationsDiff nationsDiff()}
+ *     * {@link module:nationscript/api.regionsDiff regionsDiff()}
+ *     * {@link module:nationscript/api.dumpArchive dumpArchive()}
+ * * For following happenings:
+ *     * {@link module:nationscript/api.happeningsFeed happeningsFeed()}
+ *     * {@link module:nationscript/api.happeningsStream happeningsStream()}
+ *     * {@link module:nationscript/api.happeningsHistory happeningsHistory()}
+ * 
+ * All of these act on a default {@link NSClient}. Scripts needing several
+ * independent setups within the same process can instead create their own
+ * `NSClient` instances, which offer the same functions.
  * @summary Holds methods for NationScript setup and request initialisation.
  * @module nationscript/api
  */
 
+/**
+ * The default client all functions of this module act on.
+ * @type {NSClient}
+ * @ignore
+ */
+const client = NSClient.default;
+
 /* === User Setup === */
 
 /**
@@ -101,7 +143,7 @@ const dump = require('./requests/dump');
  * @arg {string} agent The string to send as user agent.
  */
 function setAgent(agent) {
-	if (typeof agent === 'string') NSRequest.useragent = agent;
+	client.setAgent(agent);
 	return exports;
 }
 
@@ -114,7 +156,7 @@ function setAgent(agent) {
  *     disable it.
  */
 function setUseRateLimit(state) {
-	if (typeof state === 'boolean') NSRequest.useRateLimit = state;
+	client.setUseRateLimit(state);
 	return exports;
 }
 
@@ -128,8 +170,7 @@ function setUseRateLimit(state) {
  *     most recent.
  */
 function setUseVersion(version) {
-	if (typeof version === 'number' || version === null)
-		DataRequest.version = version;
+	client.setUseVersion(version);
 	return exports;
 }
 
@@ -140,7 +181,7 @@ function setUseVersion(version) {
  * @arg {string} key The client key to use.
  */
 function setTGClientKey(key) {
-	if(typeof key === 'string') TGRequest.client = key;
+	client.setTGClientKey(key);
 	return exports;
 }
 
@@ -150,7 +191,7 @@ function setTGClientKey(key) {
  * @arg {string} path Path to the desired save directory.
  */
 function setDumpDirectory(path) {
-	DumpRequest.setDirectory(path);
+	client.setDumpDirectory(path);
 	return exports;
 }
 
@@ -161,7 +202,7 @@ function setDumpDirectory(path) {
  *     depending on a given `Date`
  */
 function setDumpNameNation(fileNamer) {
-	if(typeof fileNamer === 'function') NationDumpRequest.filename = fileNamer;
+	client.setDumpNameNation(fileNamer);
 	return exports;
 }
 
@@ -172,7 +213,7 @@ function setDumpNameNation(fileNamer) {
  *     depending on a given `Date`
  */
 function setDumpNameRegion(fileNamer) {
-	if(typeof fileNamer === 'function') RegionDumpRequest.filename = fileNamer;
+	client.setDumpNameRegion(fileNamer);
 	return exports;
 }
 
@@ -183,7 +224,60 @@ function setDumpNameRegion(fileNamer) {
  *     depending on a given season number
  */
 function setDumpNameCard(fileNamer) {
-	if(typeof fileNamer === 'function') CardDumpRequest.filename = fileNamer;
+	client.setDumpNameCard(fileNamer);
+	return exports;
+}
+
+/**
+ * Registers a rate-limiter to pace all requests with, for example one shared
+ * with other clients making requests on behalf of the same user.
+ * @arg {RateLimiter} limiter The rate-limiter to use.
+ */
+function setRateLimiter(limiter) {
+	client.setRateLimiter(limiter);
+	return exports;
+}
+
+/**
+ * Registers a custom transport to deliver all requests with, for example a
+ * {@link MockTransport} answering requests with canned responses so that code
+ * using NationScript can be tested without the live site.
+ * @arg {Transport} transport The transport to use.
+ */
+function setTransport(transport) {
+	client.setTransport(transport);
+	return exports;
+}
+
+/**
+ * Registers a policy by which to automatically retry failed requests. By
+ * default, failed requests are not retried.
+ * @arg {?RetryPolicy} policy The policy to use; `null` to never retry.
+ */
+function setRetryPolicy(policy) {
+	client.setRetryPolicy(policy);
+	return exports;
+}
+
+/**
+ * Registers a cache in which to keep the responses to requests for shards,
+ * so that repeated requests are answered from there instead of the API. By
+ * default, responses are not cached.
+ * @arg {?ResponseCache} cache The cache to use; `null` to not cache.
+ */
+function setCache(cache) {
+	client.setCache(cache);
+	return exports;
+}
+
+/**
+ * Registers a period during which requests for nations, regions, and the world
+ * are collected, so that those for the same entity can be merged into a single
+ * request. By default, requests are not merged.
+ * @arg {number} window Number of milliseconds; `0` to not merge requests.
+ */
+function setBatchWindow(window) {
+	client.setBatchWindow(window);
 	return exports;
 }
 
@@ -195,6 +289,11 @@ exports.setDumpDirectory = setDumpDirectory;
 exports.setDumpNameNation = setDumpNameNation;
 exports.setDumpNameRegion = setDumpNameRegion;
 exports.setDumpNameCard = setDumpNameCard;
+exports.setRateLimiter = setRateLimiter;
+exports.setTransport = setTransport;
+exports.setRetryPolicy = setRetryPolicy;
+exports.setCache = setCache;
+exports.setBatchWindow = setBatchWindow;
 
 
 /* === Basic Requests === */
@@ -205,7 +304,7 @@ exports.setDumpNameCard = setDumpNameCard;
  * @returns {NationRequest}
  */
 function nation(name) {
-	return new NationRequest(name);
+	return client.nation(name);
 }
 
 /**
@@ -214,7 +313,7 @@ function nation(name) {
  * @returns {RegionRequest}
  */
 function region(name) {
-	return new RegionRequest(name);
+	return client.region(name);
 }
 
 /**
@@ -222,7 +321,7 @@ function region(name) {
  * @returns {WorldRequest}
  */
 function world() {
-	return new WorldRequest();
+	return client.world();
 }
 
 /**
@@ -232,7 +331,7 @@ function world() {
  * @see {@link WACouncil} for valid council IDs.
  */
 function wa(council) {
-	return new WARequest(council);
+	return client.wa(council);
 }
 
 /**
@@ -240,7 +339,7 @@ function wa(council) {
  * @returns {CardWorldRequest}
  */
 function cards() {
-	return new CardWorldRequest();
+	return client.cards();
 }
 
 /**
@@ -250,8 +349,7 @@ function cards() {
  * @returns {CardIndividualRequest}
  */
 function cardDetails(cardID, season) {
-	return new CardIndividualRequest()
-		.setCard(cardID, season);
+	return client.cardDetails(cardID, season);
 }
 
 exports.nation = nation;
@@ -270,9 +368,7 @@ exports.cardDetails = cardDetails;
  * @returns {IssueCommand}
  */
 function issue(credentials) {
-	let ret = new IssueCommand();
-	if(credentials instanceof NSCredential) ret.authenticate(credentials);
-	return ret;
+	return client.issue(credentials);
 }
 
 /**
@@ -281,9 +377,7 @@ function issue(credentials) {
  * @returns {DispatchAddCommand}
  */
 function dispatchAdd(credentials) {
-	let ret = new DispatchAddCommand();
-	if(credentials instanceof NSCredential) ret.authenticate(credentials);
-	return ret;
+	return client.dispatchAdd(credentials);
 }
 
 /**
@@ -292,9 +386,7 @@ function dispatchAdd(credentials) {
  * @returns {DispatchDeleteCommand}
  */
 function dispatchRemove(credentials) {
-	let ret = new DispatchDeleteCommand();
-	if(credentials instanceof NSCredential) ret.authenticate(credentials);
-	return ret;
+	return client.dispatchRemove(credentials);
 }
 
 /**
@@ -303,9 +395,7 @@ function dispatchRemove(credentials) {
  * @returns {DispatchEditCommand}
  */
 function dispatchEdit(credentials) {
-	let ret = new DispatchEditCommand();
-	if(credentials instanceof NSCredential) ret.authenticate(credentials);
-	return ret;
+	return client.dispatchEdit(credentials);
 }
 
 /**
@@ -314,9 +404,7 @@ function dispatchEdit(credentials) {
  * @returns {GiftCardCommand}
  */
 function giftCard(credentials) {
-	let ret = new GiftCardCommand();
-	if(credentials instanceof NSCredential) ret.authenticate(credentials);
-	return ret;
+	return client.giftCard(credentials);
 }
 
 /**
@@ -325,9 +413,7 @@ function giftCard(credentials) {
  * @returns {RMBPostCommand}
  */
 function rmb(credentials) {
-	let ret = new RMBPostCommand();
-	if(credentials instanceof NSCredential) ret.authenticate(credentials);
-	return ret;
+	return client.rmb(credentials);
 }
 
 exports.issue = issue;
@@ -346,8 +432,7 @@ exports.rmb = rmb;
  * @returns {TGRequest}
  */
 function tg(recipient) {
-	return new TGRequest()
-		.setRecipient(recipient);
+	return client.tg(recipient);
 }
 
 /**
@@ -355,7 +440,7 @@ function tg(recipient) {
  * @returns {UserAgentRequest}
  */
 function ua() {
-	return new UserAgentRequest();
+	return client.ua();
 }
 
 /**
@@ -363,7 +448,7 @@ function ua() {
  * @returns {VersionRequest}
  */
 function v() {
-	return new VersionRequest();
+	return client.v();
 }
 
 /**
@@ -371,7 +456,7 @@ function v() {
  * @returns {DataRequest}
  */
 function custom() {
-	return new DataRequest();
+	return client.custom();
 }
 
 exports.tg = tg;
@@ -389,8 +474,7 @@ exports.custom = custom;
  * @returns {NationDumpRequest}
  */
 function nationsFromDump(mode, date = new Date()) {
-	return new NationDumpRequest(date)
-		.setMode(mode);
+	return client.nationsFromDump(mode, date);
 }
 
 /**
@@ -400,8 +484,7 @@ function nationsFromDump(mode, date = new Date()) {
  * @returns {RegionDumpRequest}
  */
 function regionsFromDump(mode, date = new Date()) {
-	return new RegionDumpRequest(date)
-		.setMode(mode);
+	return client.regionsFromDump(mode, date);
 }
 
 /**
@@ -411,10 +494,111 @@ function regionsFromDump(mode, date = new Date()) {
  * @returns {CardDumpRequest}
  */
 function cardsFromDump(mode, season = 3) {
-	return new CardDumpRequest(season)
-		.setMode(mode);
+	return client.cardsFromDump(mode, season);
+}
+
+/**
+ * Get data on a large number of nations from a nations Dump file or stream
+ * obtained elsewhere!
+ * @arg {string|Readable} source Path to the file or stream to read; its data
+ *     may be gzip-compressed or plain XML
+ * @returns {NationDumpRequest}
+ */
+function nationsFromFile(source) {
+	return client.nationsFromFile(source);
+}
+
+/**
+ * Get data on a large number of regions from a regions Dump file or stream
+ * obtained elsewhere!
+ * @arg {string|Readable} source Path to the file or stream to read; its data
+ *     may be gzip-compressed or plain XML
+ * @returns {RegionDumpRequest}
+ */
+function regionsFromFile(source) {
+	return client.regionsFromFile(source);
+}
+
+/**
+ * Get data on a large number of trading cards from a cards Dump file or stream
+ * obtained elsewhere!
+ * @arg {string|Readable} source Path to the file or stream to read; its data
+ *     may be gzip-compressed or plain XML
+ * @arg {number} season ID of the trading cards season the Dump is of
+ * @returns {CardDumpRequest}
+ */
+function cardsFromFile(source, season) {
+	return client.cardsFromFile(source, season);
+}
+
+/**
+ * Compare the nations Daily Data Dumps of two dates!
+ * @arg {Date} from Date of the earlier Dump
+ * @arg {Date} to Date of the later Dump; defaults to the most recent one
+ * @arg {number} mode {@link DumpMode} to use for both Dumps; defaults to only
+ *     reading local copies
+ * @returns {DumpDiff}
+ */
+function nationsDiff(from, to = new Date(), mode = DumpMode.LOCAL) {
+	return client.nationsDiff(from, to, mode);
+}
+
+/**
+ * Compare the regions Daily Data Dumps of two dates!
+ * @arg {Date} from Date of the earlier Dump
+ * @arg {Date} to Date of the later Dump; defaults to the most recent one
+ * @arg {number} mode {@link DumpMode} to use for both Dumps; defaults to only
+ *     reading local copies
+ * @returns {DumpDiff}
+ */
+function regionsDiff(from, to = new Date(), mode = DumpMode.LOCAL) {
+	return client.regionsDiff(from, to, mode);
+}
+
+/**
+ * Manage the local copies of the Daily Data Dumps!
+ * @returns {DumpArchive}
+ */
+function dumpArchive() {
+	return client.dumpArchive();
+}
+
+
+/* === Happenings === */
+
+/**
+ * Follow the happenings of the world as they occur!
+ * @returns {HappeningsFeed}
+ */
+function happeningsFeed() {
+	return client.happeningsFeed();
+}
+
+/**
+ * Receive the happenings of the world live, as NationStates publishes them!
+ * @returns {HappeningsStream}
+ */
+function happeningsStream() {
+	return client.happeningsStream();
+}
+
+/**
+ * Walk back through the past happenings of the world!
+ * @returns {HappeningsHistory}
+ */
+function happeningsHistory() {
+	return client.happeningsHistory();
 }
 
 exports.nationsFromDump = nationsFromDump;
 exports.regionsFromDump = regionsFromDump;
 exports.cardsFromDump = cardsFromDump;
+exports.nationsFromFile = nationsFromFile;
+exports.regionsFromFile = regionsFromFile;
+exports.cardsFromFile = cardsFromFile;
+exports.nationsDiff = nationsDiff;
+exports.regionsDiff = regionsDiff;
+exports.dumpArchive = dumpArchive;
+exports.happeningsFeed = happeningsFeed;
+exports.happeningsStream = happeningsStream;
+exports.happeningsHistory = happeningsHistory;
@@ -0,0 +1,412 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+/**
+ * Provides the means of managing the local copies of Daily Data Dumps.
+ * @module nationscript/archive
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const stream = require('node:stream');
+const { promisify } = require('node:util');
+const zlib = require('node:zlib');
+
+const Parser = require('node-xml-stream-parser');
+
+const { NSError } = require('./errors');
+const { checkAborted } = require('./requests/abort');
+const { DumpMode } = require('./requests/dump');
+const { Priority } = require('./requests/ratelimit');
+
+const pipeline = promisify(stream.pipeline);
+
+/**
+ * Kinds of Daily Data Dumps kept in a {@link DumpArchive}.
+ * @enum {string}
+ */
+const DumpType = {
+	/** The nations Daily Data Dump. */
+	NATIONS: 'nations',
+	/** The regions Daily Data Dump. */
+	REGIONS: 'regions'
+};
+
+/**
+ * @typedef RetentionOptions
+ * @prop {number} [daily] Number of days for which every Dump is kept;
+ *     defaults to `30`
+ * @prop {number} [weekly] Number of weeks after the daily period for which
+ *     the earliest Dump of each calendar week is kept; defaults to `Infinity`
+ * @prop {number} [monthly] Number of months after the weekly period for which
+ *     the earliest Dump of each calendar month is kept; defaults to `0`
+ */
+/**
+ * @typedef DumpValidation
+ * Result of checking a local Dump copy.
+ * @prop {Date} date Date of the Dump
+ * @prop {string} file Path to the local copy
+ * @prop {boolean} valid `true` if the local copy is intact
+ * @prop {?Error} error Why the local copy is not intact; `null` if it is
+ */
+/**
+ * @typedef BackfillResult
+ * Result of downloading missing Dumps.
+ * @prop {Date[]} downloaded Dates of the Dumps downloaded
+ * @prop {Array<{date: Date, error: Error}>} failed Dates of the Dumps that
+ *     could not be downloaded - e.g. with an {@link EntityNotFoundError} if
+ *     the archive doesn't have them - and why
+ */
+
+/**
+ * Number of milliseconds in a day.
+ * @type {number}
+ * @ignore
+ */
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Describes which local Dump copies to keep as they age - by default, every
+ * Dump of the last 30 days, and one Dump per week before that. Ages are
+ * counted in calendar days, with today's Dump being `0` days old.
+ */
+class RetentionPolicy {
+	/**
+	 * Number of days for which every Dump is kept.
+	 * @type {number}
+	 * @default 30
+	 */
+	daily = 30;
+
+	/**
+	 * Number of weeks after the daily period for which one Dump per week is
+	 * kept.
+	 * @type {number}
+	 * @default Infinity
+	 */
+	weekly = Infinity;
+
+	/**
+	 * Number of months after the weekly period for which one Dump per month
+	 * is kept.
+	 * @type {number}
+	 * @default 0
+	 */
+	monthly = 0;
+
+	/**
+	 * @arg {RetentionOptions} options Options differing from the defaults
+	 */
+	constructor(options = {}) {
+		if(typeof options !== 'object' || options === null)
+			throw new TypeError('Invalid retention options: ' + options);
+
+		for(let key of ['daily', 'weekly', 'monthly'])
+			if(key in options) {
+				if(typeof options[key] !== 'number' || options[key] < 0)
+					throw new TypeError(`Invalid ${key}: ${options[key]}`);
+				this[key] = options[key];
+			}
+	}
+
+	/**
+	 * Determines which of the Dumps of the given dates are to be deleted.
+	 * Within each week or month, the earliest Dump is kept, so that the same
+	 * Dump keeps representing its period as the others age into it.
+	 * @arg {Date[]} dates Dates of the present Dumps
+	 * @arg {Date} now Date to count the age of the Dumps from
+	 * @returns {Date[]} Dates of the Dumps to delete
+	 */
+	getExpired(dates, now = new Date()) {
+		let weeklyEnd = this.daily + this.weekly * 7;
+		let weeks = new Set();
+		let months = new Set();
+		let ret = [];
+		for(let date of [ ...dates ].sort((a, b) => a - b)) {
+			let age = daysBetween(date, now);
+			let keep;
+			if(age < this.daily) keep = true;
+			else if(age < weeklyEnd) keep = claim(weeks, weekOf(date));
+			else if(monthsBetween(weeklyEnd, date, now) < this.monthly)
+				keep = claim(months, date.getFullYear() * 12 + date.getMonth());
+			else keep = false;
+			if(!keep) ret.push(date);
+		}
+		return ret;
+	}
+}
+
+/**
+ * Keeps track of the local copies of the nations and regions Daily Data Dumps
+ * in the dump directory of a client: which dates are present, whether their
+ * files are intact, and which are to be deleted as they age. Missing dates can
+ * be backfilled from the archive on the NationStates servers.
+ *
+ * Local copies are recognised by the date in their file name, in the format
+ * `YYYY-MM-DD`, so custom file namers set via
+ * {@link NSClient#setDumpNameNation} and {@link NSClient#setDumpNameRegion}
+ * must include it.
+ */
+class DumpArchive {
+	/**
+	 * The client whose local Dump copies to manage.
+	 * @type {import('./client').NSClient}
+	 * @private
+	 */
+	client;
+
+	/**
+	 * @arg {import('./client').NSClient} client The client whose local Dump
+	 *     copies to manage
+	 */
+	constructor(client) {
+		this.client = client;
+	}
+
+	/**
+	 * Determines the path of the local copy of the Dump of the given date.
+	 * @arg {string} type {@link DumpType} of the Dump
+	 * @arg {Date} date Date of the Dump
+	 * @returns {string} Path to the local copy
+	 */
+	getFilePath(type, date) {
+		return path.join(this.client.dumpDirectory,
+			this.getNamer(type)(date));
+	}
+
+	/**
+	 * Lists the dates for which a local copy of the Dump is present.
+	 * @arg {string} type {@link DumpType} of the Dumps
+	 * @returns {Promise<Date[]>} The dates, from earliest to latest
+	 */
+	async list(type) {
+		const namer = this.getNamer(type);
+		const directory = this.client.dumpDirectory;
+		if(!fs.existsSync(directory)) return [];
+
+		let ret = [];
+		for(let name of await fs.promises.readdir(directory)) {
+			let match = /(\d{4})-(\d{2})-(\d{2})/.exec(name);
+			if(!match) continue;
+			let date = new Date(match[1], match[2] - 1, match[3]);
+			if(namer(date) === name) ret.push(date);
+		}
+		return ret.sort((a, b) => a - b);
+	}
+
+	/**
+	 * Checks whether the local copy of the Dump of the given date is intact,
+	 * i.e. whether it decompresses without error and contains well-formed
+	 * XML.
+	 * @arg {string} type {@link DumpType} of the Dump
+	 * @arg {Date} date Date of the Dump
+	 * @returns {Promise<DumpValidation>} The result of the check
+	 */
+	async validate(type, date) {
+		const file = this.getFilePath(type, date);
+		try {
+			await checkFile(file);
+			return { date, file, valid: true, error: null };
+		} catch(e) {
+			return { date, file, valid: false, error: e };
+		}
+	}
+
+	/**
+	 * Checks whether each present local copy of the Dump is intact.
+	 * @arg {string} type {@link DumpType} of the Dumps
+	 * @returns {Promise<DumpValidation[]>} The results of the checks, from
+	 *     earliest to latest date
+	 */
+	async validateAll(type) {
+		let ret = [];
+		for(let date of await this.list(type))
+			ret.push(await this.validate(type, date));
+		return ret;
+	}
+
+	/**
+	 * Deletes the local copies of the Dump that the given policy doesn't keep.
+	 * @arg {string} type {@link DumpType} of the Dumps
+	 * @arg {RetentionPolicy} policy Policy deciding which copies to keep
+	 * @returns {Promise<Date[]>} Dates of the deleted copies
+	 */
+	async prune(type, policy = new RetentionPolicy()) {
+		if(!(policy instanceof RetentionPolicy))
+			throw new TypeError('Invalid retention policy: ' + policy);
+		let ret = policy.getExpired(await this.list(type));
+		for(let date of ret) {
+			let file = this.getFilePath(type, date);
+			await fs.promises.rm(file, { force: true });
+			await fs.promises.rm(file + '.index.json', { force: true });
+			await fs.promises.rm(file + '.index.dat', { force: true });
+		}
+		return ret;
+	}
+
+	/**
+	 * Downloads the Dumps of all dates in the given range for which no local
+	 * copy is present from the archive on the NationStates servers, one after
+	 * another. Each download is a request like any other, so it waits for
+	 * the rate-limiter - at {@link Priority.BULK}, so as not to hold up other
+	 * requests.
+	 *
+	 * The range ends yesterday at the latest, since the Dump of the current
+	 * day may not be published yet. Just like for the Dump requests, days are
+	 * counted in UTC for this. Should the download for a date fail, the
+	 * backfill carries on with the next date, reporting the failure in its
+	 * result.
+	 * @arg {string} type {@link DumpType} of the Dumps
+	 * @arg {Date} from Earliest date to download the Dump of
+	 * @arg {?Date} to Latest date to download the Dump of; `null` for
+	 *     yesterday
+	 * @arg {?AbortSignal} signal Signal to stop the backfill with; the Dumps
+	 *     downloaded until then are kept
+	 * @returns {Promise<BackfillResult>} Dates of the downloaded Dumps, and
+	 *     of those that failed
+	 */
+	async backfill(type, from, to = null, signal = null) {
+		if(!(from instanceof Date))
+			throw new TypeError('Invalid date: ' + from);
+		if(to !== null && !(to instanceof Date))
+			throw new TypeError('Invalid date: ' + to);
+		const create = type === DumpType.NATIONS
+			? (date) => this.client.nationsFromDump(DumpMode.DOWNLOAD, date)
+			: (date) => this.client.regionsFromDump(DumpMode.DOWNLOAD, date);
+		this.getNamer(type);	// Validates the type
+
+		// Dump requests treat dates on the current UTC day as asking for the
+		// latest Dump, so end with the UTC day before
+		let now = new Date();
+		let last = new Date(now.getUTCFullYear(), now.getUTCMonth(),
+			now.getUTCDate() - 1);
+		if(to === null || to > last) to = last;
+
+		/** @type {BackfillResult} */
+		let ret = { downloaded: [], failed: [] };
+		let date = new Date(from.getFullYear(), from.getMonth(),
+			from.getDate());
+		for(; date <= to; date.setDate(date.getDate() + 1)) {
+			checkAborted(signal);
+			if(fs.existsSync(this.getFilePath(type, date))) continue;
+			try {
+				await create(new Date(date))
+					.setPriority(Priority.BULK)
+					.setSignal(signal)
+					.download();
+				ret.downloaded.push(new Date(date));
+			} catch(e) {
+				if(signal?.aborted) throw e;
+				ret.failed.push({ date: new Date(date), error: e });
+			}
+		}
+		return ret;
+	}
+
+	/**
+	 * Gets the function naming the local copies of the given type of Dump.
+	 * @arg {string} type {@link DumpType} of the Dump
+	 * @returns {import('./requests/dump').FileNamerNormal} The file namer
+	 * @throws {TypeError} if the type is not a {@link DumpType}
+	 * @private
+	 */
+	getNamer(type) {
+		switch(type) {
+			case DumpType.NATIONS: return this.client.dumpNameNation;
+			case DumpType.REGIONS: return this.client.dumpNameRegion;
+			default: throw new TypeError('Invalid dump type: ' + type);
+		}
+	}
+}
+
+/**
+ * Reads the given gzipped XML file entirely, checking that it decompresses
+ * without error and that its tags are properly nested within a single root.
+ * @arg {string} file Path to the file
+ * @returns {Promise<void>}
+ * @throws {NSError} if the XML is not well-formed
+ * @ignore
+ */
+async function checkFile(file) {
+	let parser = new Parser();
+	let open = [];
+	let roots = 0;
+	let failure = null;
+	let fail = (message) => {
+		if(!failure) failure = new NSError(message + ': ' + file);
+	};
+	parser.on('opentag', (name) => {
+		if(open.length === 0 && ++roots > 1) fail('Multiple root elements');
+		open.push(name);
+	});
+	parser.on('closetag', (name) => {
+		if(open.pop() !== name) fail('Mismatched closing tag ' + name);
+	});
+	parser.on('error', (err) => fail(err.message));
+
+	await pipeline(fs.createReadStream(file), zlib.createGunzip(), parser);
+	if(failure) throw failure;
+	if(roots === 0) throw new NSError('No root element: ' + file);
+	if(open.length > 0) throw new NSError('Unclosed tag ' + open.pop() + ': '
+		+ file);
+}
+
+/**
+ * Marks the given period as represented by a Dump, if it isn't yet.
+ * @arg {Set<number>} periods Periods already represented
+ * @arg {number} period Period to mark
+ * @returns {boolean} `true` if the period wasn't represented yet
+ * @ignore
+ */
+function claim(periods, period) {
+	if(periods.has(period)) return false;
+	periods.add(period);
+	return true;
+}
+
+/**
+ * Counts the calendar days from the first to the second date.
+ * @arg {Date} from Earlier date
+ * @arg {Date} to Later date
+ * @returns {number} Number of days
+ * @ignore
+ */
+function daysBetween(from, to) {
+	let start = new Date(from.getFullYear(), from.getMonth(), from.getDate());
+	let end = new Date(to.getFullYear(), to.getMonth(), to.getDate());
+	return Math.round((end - start) / DAY);	// Rounded for DST shifts
+}
+
+/**
+ * Determines the calendar week of the given date, as the number of weeks
+ * since the Monday of 5 January 1970.
+ * @arg {Date} date Date to check
+ * @returns {number} Number of the week
+ * @ignore
+ */
+function weekOf(date) {
+	return Math.floor(daysBetween(new Date(1970, 0, 5), date) / 7);
+}
+
+/**
+ * Counts the calendar months by which the given date lies before the day the
+ * given number of days before the given reference date.
+ * @arg {number} offset Number of days before the reference date
+ * @arg {Date} date Date to check
+ * @arg {Date} now Reference date
+ * @returns {number} Number of months
+ * @ignore
+ */
+function monthsBetween(offset, date, now) {
+	let start = new Date(now.getFullYear(), now.getMonth(),
+		now.getDate() - offset);
+	return (start.getFullYear() - date.getFullYear()) * 12
+		+ start.getMonth() - date.getMonth();
+}
+
+exports.DumpType = DumpType;
+exports.RetentionPolicy = RetentionPolicy;
+exports.DumpArchive = DumpArchive;
@@ -0,0 +1,705 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+/**
+ * Provides the client class holding a self-contained NationScript setup.
+ * @module nationscript/client
+ */
+
+const path = require('node:path');
+const { Readable } = require('node:stream');
+
+const { NSCredential, DataRequest } = require('./requests/base');
+const {
+	CardIndividualRequest,
+	CardWorldRequest
+} = require('./requests/card');
+const { NationRequest } = require('./requests/nation');
+const { RegionRequest } = require('./requests/region');
+const { WorldRequest } = require('./requests/world');
+const { WARequest } = require('./requests/wa');
+const {
+	IssueCommand,
+	RMBPostCommand,
+	DispatchAddCommand,
+	DispatchDeleteCommand,
+	DispatchEditCommand,
+	GiftCardCommand
+} = require('./requests/command');
+const {
+	TGRequest,
+	UserAgentRequest,
+	VersionRequest
+} = require('./requests/misc');
+const {
+	NationDumpRequest,
+	RegionDumpRequest,
+	CardDumpRequest,
+	DumpMode
+} = require('./requests/dump');
+const { DumpDiff } = require('./diff');
+const { DumpArchive } = require('./archive');
+const { HappeningsFeed } = require('./feed');
+const { HappeningsStream } = require('./sse');
+const { HappeningsHistory } = require('./history');
+const dump = require('./requests/dump');
+const { ResponseCache } = require('./requests/cache');
+const { RateLimiter } = require('./requests/ratelimit');
+const { RetryPolicy } = require('./requests/retry');
+const {
+	Transport,
+	HTTPSTransport
+} = require('./requests/transport');
+
+/**
+ * The default client; created once it is first needed.
+ * @type {?NSClient}
+ * @ignore
+ */
+let defaultClient = null;
+
+/**
+ * A self-contained NationScript setup.
+ *
+ * Each client holds its own user agent, API version, TG client key, Data Dump
+ * directory, rate-limiter, and transport, and all requests created via its
+ * request instantiation functions are executed with those. This allows several
+ * independent scripts with differing setups to run within the same process.
+ *
+ * The {@link module:nationscript/api NS} object wraps a default client, so
+ * scripts only needing a single setup don't have to deal with clients at all.
+ * Requests created directly via their constructors are executed with that
+ * default client as well.
+ * @summary Holds the settings and request initialisation functions of a setup.
+ */
+class NSClient {
+
+	/**
+	 * The default client, which the {@link module:nationscript/api NS} object
+	 * wraps, and with which requests not bound to any client are executed.
+	 * @type {NSClient}
+	 */
+	static get default() {
+		if(!defaultClient) defaultClient = new NSClient();
+		return defaultClient;
+	}
+
+	/* === Settings === */
+
+	/**
+	 * The text sent as the `User-Agent` header in requests to the NS API.
+	 * @type {?string}
+	 * @package
+	 */
+	useragent = null;
+
+	/**
+	 * Whether to use the {@link NSClient#rateLimiter rateLimiter} for requests
+	 * to the NS API.
+	 * @type {boolean}
+	 * @default true
+	 * @package
+	 */
+	useRateLimit = true;
+
+	/**
+	 * The version of the NS API to request all data in. If `null`, requests
+	 * are made to the most recent version of the API automatically.
+	 * @type {?number}
+	 * @default
+	 * @package
+	 */
+	version = 12;
+
+	/**
+	 * The TG client key to use when executing telegram requests.
+	 * @type {?string}
+	 * @package
+	 */
+	tgClient = null;
+
+	/**
+	 * Path to the directory where fetched Data Dumps are saved to locally.
+	 * @type {string}
+	 * @default './nsdumps/'
+	 * @package
+	 */
+	dumpDirectory = path.join('.', 'nsdumps');
+
+	/**
+	 * Determines the file names of local copies of the Nations Daily Data
+	 * Dump.
+	 * @type {dump.FileNamerNormal}
+	 * @package
+	 */
+	dumpNameNation = NationDumpRequest.filename;
+
+	/**
+	 * Determines the file names of local copies of the Regions Daily Data
+	 * Dump.
+	 * @type {dump.FileNamerNormal}
+	 * @package
+	 */
+	dumpNameRegion = RegionDumpRequest.filename;
+
+	/**
+	 * Determines the file names of local copies of the Cards Seasonal Data
+	 * Dump.
+	 * @type {dump.FileNamerCard}
+	 * @package
+	 */
+	dumpNameCard = CardDumpRequest.filename;
+
+	/**
+	 * The rate-limiter keeping track of the requests made with this client.
+	 * @type {RateLimiter}
+	 * @package
+	 */
+	rateLimiter = new RateLimiter();
+
+	/**
+	 * The transport delivering the requests made with this client.
+	 * @type {Transport}
+	 * @package
+	 */
+	transport = new HTTPSTransport();
+
+	/**
+	 * The policy by which failed requests are retried; `null` to never retry.
+	 * @type {?RetryPolicy}
+	 * @default
+	 * @package
+	 */
+	retryPolicy = null;
+
+	/**
+	 * The cache in which responses to requests made with this client are
+	 * kept; `null` to not cache responses.
+	 * @type {?ResponseCache}
+	 * @default
+	 * @package
+	 */
+	cache = null;
+
+	/**
+	 * Executions of requests currently in progress, keyed by what they
+	 * request, so that identical requests can share them.
+	 * @type {Map<string, Promise<any>>}
+	 * @package
+	 */
+	pending = new Map();
+
+	/**
+	 * Number of milliseconds during which requests for the same entity are
+	 * collected to be merged into one; `0` to not merge requests.
+	 * @type {number}
+	 * @default
+	 * @package
+	 */
+	batchWindow = 0;
+
+	/**
+	 * Requests currently being collected for merging, keyed by what they
+	 * have in common.
+	 * @type {Map<string, object>}
+	 * @package
+	 */
+	batches = new Map();
+
+	/**
+	 * Registers the custom part of the user agent for this client, which will
+	 * be sent as the `User-Agent` header in all HTTP requests to the NS API.
+	 *
+	 * **Setting a UserAgent
+	 * [is mandatory](https://www.nationstates.net/pages/api.html#terms) per
+	 * the Terms of Use of the NS API.**
+	 * @arg {string} agent The string to send as user agent
+	 * @returns {this} The client, for chaining
+	 */
+	setAgent(agent) {
+		if(typeof agent === 'string') this.useragent = agent;
+		return this;
+	}
+
+	/**
+	 * Enables or disables the use of the client's rate-limiter. Enabled by
+	 * default.
+	 * @arg {boolean} state `true` to use the rate-limiter, `false` to disable
+	 *     it
+	 * @returns {this} The client, for chaining
+	 */
+	setUseRateLimit(state) {
+		if(typeof state === 'boolean') this.useRateLimit = state;
+		return this;
+	}
+
+	/**
+	 * Registers a custom NS API version to use with all requests of this
+	 * client.
+	 * @arg {?number} version API version to request the data in; `null` to
+	 *     use the most recent
+	 * @returns {this} The client, for chaining
+	 */
+	setUseVersion(version) {
+		if(typeof version === 'number' || version === null)
+			this.version = version;
+		return this;
+	}
+
+	/**
+	 * Registers the telegram client key to use for {@link TGRequest}s of this
+	 * client.
+	 * @arg {string} key The client key to use
+	 * @returns {this} The client, for chaining
+	 */
+	setTGClientKey(key) {
+		if(typeof key === 'string') this.tgClient = key;
+		return this;
+	}
+
+	/**
+	 * Registers a custom directory to save and look for local Daily Data Dump
+	 * copies in.
+	 * @arg {string} dir Path to the desired save directory
+	 * @returns {this} The client, for chaining
+	 * @throws {TypeError} if `dir` isn't a valid string
+	 */
+	setDumpDirectory(dir) {
+		if(typeof dir !== 'string')
+			throw new TypeError('Invalid path: ' + dir);
+		if(!dir.endsWith('/')) dir += '/';
+		this.dumpDirectory = path.normalize(dir);
+		return this;
+	}
+
+	/**
+	 * Register a custom way to determine the file names of local copies of the
+	 * Nations Daily Data Dump.
+	 * @arg {dump.FileNamerNormal} fileNamer Function determining the file
+	 *     name, depending on a given `Date`
+	 * @returns {this} The client, for chaining
+	 */
+	setDumpNameNation(fileNamer) {
+		if(typeof fileNamer === 'function') this.dumpNameNation = fileNamer;
+		return this;
+	}
+
+	/**
+	 * Register a custom way to determine the file names of local copies of the
+	 * Regions Daily Data Dump.
+	 * @arg {dump.FileNamerNormal} fileNamer Function determining the file
+	 *     name, depending on a given `Date`
+	 * @returns {this} The client, for chaining
+	 */
+	setDumpNameRegion(fileNamer) {
+		if(typeof fileNamer === 'function') this.dumpNameRegion = fileNamer;
+		return this;
+	}
+
+	/**
+	 * Register a custom way to determine the file names of local copies of the
+	 * Cards Seasonal Data Dump.
+	 * @arg {dump.FileNamerCard} fileNamer Function determining the file name,
+	 *     depending on a given season number
+	 * @returns {this} The client, for chaining
+	 */
+	setDumpNameCard(fileNamer) {
+		if(typeof fileNamer === 'function') this.dumpNameCard = fileNamer;
+		return this;
+	}
+
+	/**
+	 * Makes this client keep track of its requests using the given
+	 * rate-limiter. Since the API's rate-limit applies per user, clients
+	 * making requests on behalf of the same user should share a rate-limiter.
+	 * @arg {RateLimiter} limiter Rate-limiter to use
+	 * @returns {this} The client, for chaining
+	 * @throws {TypeError} if `limiter` isn't a `RateLimiter`
+	 */
+	setRateLimiter(limiter) {
+		if(!(limiter instanceof RateLimiter))
+			throw new TypeError('Invalid rate-limiter: ' + limiter);
+		this.rateLimiter = limiter;
+		return this;
+	}
+
+	/**
+	 * Makes this client deliver its requests using the given transport, for
+	 * example a {@link MockTransport} for testing without the live site.
+	 * @arg {Transport} transport Transport to use
+	 * @returns {this} The client, for chaining
+	 * @throws {TypeError} if `transport` isn't a `Transport`
+	 */
+	setTransport(transport) {
+		if(!(transport instanceof Transport))
+			throw new TypeError('Invalid transport: ' + transport);
+		this.transport = transport;
+		return this;
+	}
+
+
+	/**
+	 * Makes this client automatically retry requests that failed due to a
+	 * rate-limit excess, a server-side error, or a network failure, or
+	 * whichever errors the given policy specifies.
+	 * @arg {?RetryPolicy} policy Policy to retry by; `null` to never retry
+	 * @returns {this} The client, for chaining
+	 * @throws {TypeError} if `policy` isn't a `RetryPolicy`
+	 */
+	setRetryPolicy(policy) {
+		if(policy !== null && !(policy instanceof RetryPolicy))
+			throw new TypeError('Invalid retry policy: ' + policy);
+		this.retryPolicy = policy;
+		return this;
+	}
+
+	/**
+	 * Makes this client keep the responses to its requests for shards in the
+	 * given cache, answering repeated requests from there instead of the API
+	 * until the responses expire.
+	 * @arg {?ResponseCache} cache Cache to use; `null` to not cache responses
+	 * @returns {this} The client, for chaining
+	 * @throws {TypeError} if `cache` isn't a `ResponseCache`
+	 */
+	setCache(cache) {
+		if(cache !== null && !(cache instanceof ResponseCache))
+			throw new TypeError('Invalid cache: ' + cache);
+		this.cache = cache;
+		return this;
+	}
+
+	/**
+	 * Makes this client collect requests for nations, regions, and the world
+	 * that are made within the given number of milliseconds of one another,
+	 * and merge those for the same entity into a single request to the API.
+	 * @arg {number} window Number of milliseconds to collect requests for;
+	 *     `0` to not merge requests
+	 * @returns {this} The client, for chaining
+	 * @throws {TypeError} if `window` isn't a non-negative number
+	 */
+	setBatchWindow(window) {
+		if(typeof window !== 'number' || window < 0)
+			throw new TypeError('Invalid batch window: ' + window);
+		this.batchWindow = window;
+		return this;
+	}
+
+
+	/* === Basic Requests === */
+
+	/**
+	 * Request data about a single nation from the API!
+	 * @arg {string} name Name of the nation to request data on
+	 * @returns {NationRequest}
+	 */
+	nation(name) {
+		return new NationRequest(name).useClient(this);
+	}
+
+	/**
+	 * Request data about a single region from the API!
+	 * @arg {string} name Name of the region to request data on
+	 * @returns {RegionRequest}
+	 */
+	region(name) {
+		return new RegionRequest(name).useClient(this);
+	}
+
+	/**
+	 * Request data about the wider game world from the API!
+	 * @returns {WorldRequest}
+	 */
+	world() {
+		return new WorldRequest().useClient(this);
+	}
+
+	/**
+	 * Request data about the World Assembly from the API!
+	 * @arg {number} council ID of the WA council the data should be about
+	 * @returns {WARequest}
+	 * @see {@link WACouncil} for valid council IDs.
+	 */
+	wa(council) {
+		return new WARequest(council).useClient(this);
+	}
+
+	/**
+	 * Request data about the wider world of trading cards from the API!
+	 * @returns {CardWorldRequest}
+	 */
+	cards() {
+		return new CardWorldRequest().useClient(this);
+	}
+
+	/**
+	 * Request data about an individual trading card from the API!
+	 * @arg {number} cardID ID of the desired card
+	 * @arg {number} season Number of the season the desired card was inscribed
+	 *     for
+	 * @returns {CardIndividualRequest}
+	 */
+	cardDetails(cardID, season) {
+		return new CardIndividualRequest()
+			.useClient(this)
+			.setCard(cardID, season);
+	}
+
+
+	/* === Private Commands === */
+
+	/**
+	 * Have a nation address the specified issue!
+	 * @arg {NSCredential=} credentials Login credentials for the nation to use
+	 * @returns {IssueCommand}
+	 */
+	issue(credentials) {
+		let ret = new IssueCommand().useClient(this);
+		if(credentials instanceof NSCredential) ret.authenticate(credentials);
+		return ret;
+	}
+
+	/**
+	 * Have a nation publish a new dispatch!
+	 * @arg {NSCredential=} credentials Login credentials for the nation to use
+	 * @returns {DispatchAddCommand}
+	 */
+	dispatchAdd(credentials) {
+		let ret = new DispatchAddCommand().useClient(this);
+		if(credentials instanceof NSCredential) ret.authenticate(credentials);
+		return ret;
+	}
+
+	/**
+	 * Have a nation delete one of its existing dispatches!
+	 * @arg {NSCredential=} credentials Login credentials for the nation to use
+	 * @returns {DispatchDeleteCommand}
+	 */
+	dispatchRemove(credentials) {
+		let ret = new DispatchDeleteCommand().useClient(this);
+		if(credentials instanceof NSCredential) ret.authenticate(credentials);
+		return ret;
+	}
+
+	/**
+	 * Have a nation edit one of its existing dispatches!
+	 * @arg {NSCredential=} credentials Login credentials for the nation to use
+	 * @returns {DispatchEditCommand}
+	 */
+	dispatchEdit(credentials) {
+		let ret = new DispatchEditCommand().useClient(this);
+		if(credentials instanceof NSCredential) ret.authenticate(credentials);
+		return ret;
+	}
+
+	/**
+	 * Have a nation gift a trading card to another nation!
+	 * @arg {NSCredential=} credentials Login credentials for the nation to use
+	 * @returns {GiftCardCommand}
+	 */
+	giftCard(credentials) {
+		let ret = new GiftCardCommand().useClient(this);
+		if(credentials instanceof NSCredential) ret.authenticate(credentials);
+		return ret;
+	}
+
+	/**
+	 * Have a nation lodge a message to the Regional Message Board of a region!
+	 * @arg {NSCredential=} credentials Login credentials for the nation to use
+	 * @returns {RMBPostCommand}
+	 */
+	rmb(credentials) {
+		let ret = new RMBPostCommand().useClient(this);
+		if(credentials instanceof NSCredential) ret.authenticate(credentials);
+		return ret;
+	}
+
+
+	/* === Miscellaneous Requests === */
+
+	/**
+	 * Send a telegram to the specified nation!
+	 * @arg {string} recipient Name of the nation that should receive the
+	 *     telegram
+	 * @returns {TGRequest}
+	 */
+	tg(recipient) {
+		return new TGRequest()
+			.useClient(this)
+			.setRecipient(recipient);
+	}
+
+	/**
+	 * Check how the user agent you set appears to the NS API!
+	 * @returns {UserAgentRequest}
+	 */
+	ua() {
+		return new UserAgentRequest().useClient(this);
+	}
+
+	/**
+	 * Check the current version of the NS API!
+	 * @returns {VersionRequest}
+	 */
+	v() {
+		return new VersionRequest().useClient(this);
+	}
+
+	/**
+	 * Build a request to the NS API completely from scratch!
+	 * @returns {DataRequest}
+	 */
+	custom() {
+		return new DataRequest().useClient(this);
+	}
+
+
+	/* === Daily Data Dumps === */
+
+	/**
+	 * Get data on a large number of nations using the nations Daily Data Dump!
+	 * @arg {number} mode {@link DumpMode} to use
+	 * @arg {Date} date Date of the desired Dump; defaults to the most recent
+	 *     one
+	 * @returns {NationDumpRequest}
+	 */
+	nationsFromDump(mode, date = new Date()) {
+		return new NationDumpRequest(date)
+			.useClient(this)
+			.setMode(mode);
+	}
+
+	/**
+	 * Get data on a large number of regions using the regions Daily Data Dump!
+	 * @arg {number} mode {@link DumpMode} to use
+	 * @arg {Date} date Date of the desired Dump; defaults to the most recent
+	 *     one
+	 * @returns {RegionDumpRequest}
+	 */
+	regionsFromDump(mode, date = new Date()) {
+		return new RegionDumpRequest(date)
+			.useClient(this)
+			.setMode(mode);
+	}
+
+	/**
+	 * Get data on a large number of trading cards using the cards Data Dump!
+	 * @arg {number} mode {@link DumpMode} to use
+	 * @arg {number} season ID of the desired trading cards season; defaults to
+	 *     `3`
+	 * @returns {CardDumpRequest}
+	 */
+	cardsFromDump(mode, season = 3) {
+		return new CardDumpRequest(season)
+			.useClient(this)
+			.setMode(mode);
+	}
+
+	/**
+	 * Get data on a large number of nations from a nations Dump file or
+	 * stream obtained elsewhere!
+	 * @arg {string|Readable} source Path to the file or stream to read; its
+	 *     data may be gzip-compressed or plain XML
+	 * @returns {NationDumpRequest}
+	 */
+	nationsFromFile(source) {
+		return new NationDumpRequest(new Date())
+			.useClient(this)
+			.setSource(source);
+	}
+
+	/**
+	 * Get data on a large number of regions from a regions Dump file or
+	 * stream obtained elsewhere!
+	 * @arg {string|Readable} source Path to the file or stream to read; its
+	 *     data may be gzip-compressed or plain XML
+	 * @returns {RegionDumpRequest}
+	 */
+	regionsFromFile(source) {
+		return new RegionDumpRequest(new Date())
+			.useClient(this)
+			.setSource(source);
+	}
+
+	/**
+	 * Get data on a large number of trading cards from a cards Dump file or
+	 * stream obtained elsewhere!
+	 * @arg {string|Readable} source Path to the file or stream to read; its
+	 *     data may be gzip-compressed or plain XML
+	 * @arg {number} season ID of the trading cards season the Dump is of
+	 * @returns {CardDumpRequest}
+	 */
+	cardsFromFile(source, season) {
+		return new CardDumpRequest(season)
+			.useClient(this)
+			.setSource(source);
+	}
+
+	/**
+	 * Compare the nations Daily Data Dumps of two dates!
+	 * @arg {Date} from Date of the earlier Dump
+	 * @arg {Date} to Date of the later Dump; defaults to the most recent one
+	 * @arg {number} mode {@link DumpMode} to use for both Dumps; defaults to
+	 *     only reading local copies
+	 * @returns {DumpDiff}
+	 */
+	nationsDiff(from, to = new Date(), mode = DumpMode.LOCAL) {
+		return new DumpDiff(
+			this.nationsFromDump(mode, from).setFilter(() => true),
+			this.nationsFromDump(mode, to).setFilter(() => true));
+	}
+
+	/**
+	 * Compare the regions Daily Data Dumps of two dates!
+	 * @arg {Date} from Date of the earlier Dump
+	 * @arg {Date} to Date of the later Dump; defaults to the most recent one
+	 * @arg {number} mode {@link DumpMode} to use for both Dumps; defaults to
+	 *     only reading local copies
+	 * @returns {DumpDiff}
+	 */
+	regionsDiff(from, to = new Date(), mode = DumpMode.LOCAL) {
+		return new DumpDiff(
+			this.regionsFromDump(mode, from).setFilter(() => true),
+			this.regionsFromDump(mode, to).setFilter(() => true));
+	}
+
+	/**
+	 * Manage the local copies of the Daily Data Dumps!
+	 * @returns {DumpArchive}
+	 */
+	dumpArchive() {
+		return new DumpArchive(this);
+	}
+
+
+	/* === Happenings === */
+
+	/**
+	 * Follow the happenings of the world as they occur!
+	 * @returns {HappeningsFeed}
+	 */
+	happeningsFeed() {
+		return new HappeningsFeed(this);
+	}
+
+	/**
+	 * Receive the happenings of the world live, as NationStates publishes
+	 * them!
+	 * @returns {HappeningsStream}
+	 */
+	happeningsStream() {
+		return new HappeningsStream(this);
+	}
+
+	/**
+	 * Walk back through the past happenings of the world!
+	 * @returns {HappeningsHistory}
+	 */
+	happeningsHistory() {
+		return new HappeningsHistory(this);
+	}
+}
+
+exports.NSClient = NSClient;
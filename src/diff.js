@@ -0,0 +1,291 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+/**
+ * Provides the means of comparing two Daily Data Dumps.
+ * @module nationscript/diff
+ */
+
+const {
+	DumpRequest,
+	NationDumpRequest,
+	RegionDumpRequest
+} = require('./requests/dump');
+const { WAStatus } = require('./enums');
+const types = require('./types');
+
+/**
+ * Kinds of changes a {@link DumpDiff} reports.
+ * @enum {string}
+ */
+const DumpChangeType = {
+	/** A nation or region exists that didn't exist before. */
+	FOUNDED: 'founded',
+	/** A nation or region that existed before doesn't exist anymore. */
+	CEASED: 'ceased',
+	/** A nation moved to another region. */
+	MOVED: 'moved',
+	/** A nation joined, left, or was made Delegate in the World Assembly. */
+	WA_STATUS: 'waStatus',
+	/** A nation received an endorsement. */
+	ENDORSEMENT_GAINED: 'endorsementGained',
+	/** A nation lost an endorsement. */
+	ENDORSEMENT_LOST: 'endorsementLost',
+	/** A region got a new WA Delegate, or lost its Delegate. */
+	DELEGATE: 'delegate',
+	/** A region's founder changed. */
+	FOUNDER: 'founder',
+	/** An embassy of a region was proposed, opened, closed, or rejected. */
+	EMBASSY: 'embassy',
+	/** A regional officer was appointed, dismissed, or had their office or
+	 * authorities changed. */
+	OFFICER: 'officer',
+	/** A nation or region changed its flag. */
+	FLAG: 'flag',
+	/** A region changed its World Factbook Entry. */
+	WFE: 'wfe'
+};
+
+/**
+ * @typedef DumpChange
+ * Describes a single change between two Daily Data Dumps.
+ * @prop {string} type {@link DumpChangeType} of the change
+ * @prop {string} name Name of the nation or region that changed
+ *     (`Proper Form`)
+ * @prop {string} region Region of the nation that changed (`Proper Form`) -
+ *     for nations that moved or ceased to exist, the region they were in
+ *     before; for regions, the same as `name`
+ * @prop {?string} target Counterpart of the change, if any: the endorsing
+ *     nation for endorsements, the other region for embassies, and the
+ *     officer for officer changes (`id_form`, except for regions)
+ * @prop {any} before Value before the change; `null` if there was none
+ * @prop {any} after Value after the change; `null` if there is none
+ */
+
+/**
+ * Properties of each Dump that the comparison requires.
+ * @type {Map<Function, string[]>}
+ * @ignore
+ */
+const fields = new Map([
+	[ NationDumpRequest, [
+		'name', 'region', 'waStatus', 'endorsements', 'flag'
+	] ],
+	[ RegionDumpRequest, [
+		'name', 'delegateName', 'founder', 'embassies', 'officers', 'flag',
+		'wfe'
+	] ]
+]);
+
+/**
+ * Compares two Daily Data Dumps of the same kind - usually those of two
+ * consecutive days - and reports the differences between them as
+ * {@link DumpChange} records:
+ * * For nations: those founded, ceased to exist, or moved to another region,
+ *     as well as changes to their WA status, endorsements, and flag.
+ * * For regions: those founded or ceased to exist, as well as changes to
+ *     their WA Delegate, founder, embassies, officers, flag, and WFE.
+ *
+ * The earlier Dump is read into memory first - only the properties needed for
+ * the comparison are parsed - after which the later Dump is streamed and
+ * compared object by object. The changes can either be collected into an
+ * array with {@link DumpDiff#send send}, or iterated as soon as they are
+ * found with {@link DumpDiff#stream stream} or `for await`. In both cases,
+ * the changes of each nation or region are reported in the order the later
+ * Dump lists them in, followed by those that ceased to exist.
+ *
+ * The two requests are executed according to their own {@link DumpMode}s and
+ * filters. Note that filtering by region makes nations that moved in or out
+ * appear as founded or ceased, respectively.
+ */
+class DumpDiff {
+	/**
+	 * Request fetching the earlier Dump.
+	 * @type {DumpRequest}
+	 * @private
+	 */
+	before;
+
+	/**
+	 * Request fetching the later Dump.
+	 * @type {DumpRequest}
+	 * @private
+	 */
+	after;
+
+	/**
+	 * @arg {NationDumpRequest|RegionDumpRequest} before Request fetching the
+	 *     earlier Dump
+	 * @arg {NationDumpRequest|RegionDumpRequest} after Request fetching the
+	 *     later Dump; must be of the same kind as `before`
+	 */
+	constructor(before, after) {
+		if(!fields.has(before?.constructor))
+			throw new TypeError('Invalid dump request: ' + before);
+		if(after?.constructor !== before.constructor)
+			throw new TypeError('Invalid dump request: ' + after);
+		this.before = before.setFields(...fields.get(before.constructor));
+		this.after = after.setFields(...fields.get(after.constructor));
+	}
+
+	/**
+	 * Compares the two Dumps, collecting all changes.
+	 * @returns {Promise<DumpChange[]>} The changes found
+	 */
+	async send() {
+		let ret = [];
+		for await (let change of this.stream()) ret.push(change);
+		return ret;
+	}
+
+	/**
+	 * Compares the two Dumps, yielding each change as soon as it is found.
+	 * @returns {AsyncGenerator<DumpChange>} The changes found
+	 */
+	async *stream() {
+		const compare = this.before instanceof NationDumpRequest
+			? compareNations
+			: compareRegions;
+
+		/** @type {Map<string, object>} */
+		let known = new Map();
+		for await (let obj of this.before.stream()) known.set(obj.name, obj);
+
+		for await (let obj of this.after.stream()) {
+			let old = known.get(obj.name) ?? null;
+			known.delete(obj.name);
+			yield* compare(old, obj);
+		}
+		for(let old of known.values()) yield* compare(old, null);
+	}
+
+	/**
+	 * Allows iterating over this diff via `for await`, equivalent to iterating
+	 * over the return value of {@link DumpDiff#stream stream}.
+	 * @returns {AsyncGenerator<DumpChange>} The changes found
+	 */
+	[Symbol.asyncIterator]() {
+		return this.stream();
+	}
+}
+
+/**
+ * Determines the changes between two states of a nation.
+ * @arg {?types.DumpNation} before Earlier state; `null` if it didn't exist
+ * @arg {?types.DumpNation} after Later state; `null` if it doesn't exist
+ * @returns {Generator<DumpChange>} The changes
+ * @ignore
+ */
+function* compareNations(before, after) {
+	const name = (after ?? before).name;
+	const region = (before ?? after).region;
+	const change = (type, from, to, target = null) =>
+		({ type, name, region, target, before: from, after: to });
+
+	if(!before) yield change(DumpChangeType.FOUNDED, null, null);
+	if(!after) {
+		yield change(DumpChangeType.CEASED, null, null);
+		return;
+	}
+	if(before && before.region !== after.region)
+		yield change(DumpChangeType.MOVED, before.region, after.region);
+	if(before?.waStatus !== after.waStatus && (before || isMember(after)))
+		yield change(DumpChangeType.WA_STATUS,
+			before?.waStatus ?? null, after.waStatus);
+
+	let endorsed = new Set(before?.endorsements ?? []);
+	for(let endorser of after.endorsements ?? []) {
+		if(endorsed.delete(endorser)) continue;
+		yield change(DumpChangeType.ENDORSEMENT_GAINED, null, endorser,
+			endorser);
+	}
+	for(let endorser of endorsed) yield change(
+		DumpChangeType.ENDORSEMENT_LOST, endorser, null, endorser);
+
+	if(before && before.flag !== after.flag)
+		yield change(DumpChangeType.FLAG, before.flag, after.flag);
+}
+
+/**
+ * Determines the changes between two states of a region.
+ * @arg {?types.DumpRegion} before Earlier state; `null` if it didn't exist
+ * @arg {?types.DumpRegion} after Later state; `null` if it doesn't exist
+ * @returns {Generator<DumpChange>} The changes
+ * @ignore
+ */
+function* compareRegions(before, after) {
+	const name = (after ?? before).name;
+	const change = (type, from, to, target = null) =>
+		({ type, name, region: name, target, before: from, after: to });
+
+	if(!before) yield change(DumpChangeType.FOUNDED, null, null);
+	if(!after) {
+		yield change(DumpChangeType.CEASED, null, null);
+		return;
+	}
+	if((before?.delegateName ?? null) !== (after.delegateName ?? null))
+		yield change(DumpChangeType.DELEGATE,
+			before?.delegateName ?? null, after.delegateName ?? null);
+	if((before?.founder ?? null) !== (after.founder ?? null))
+		yield change(DumpChangeType.FOUNDER,
+			before?.founder ?? null, after.founder ?? null);
+
+	// The phase of embassies is parsed into their `type` property
+	let embassies = new Map((before?.embassies ?? [])
+		.map((embassy) => [ embassy.region, embassy.type ]));
+	for(let embassy of after.embassies ?? []) {
+		let phase = embassies.get(embassy.region) ?? null;
+		embassies.delete(embassy.region);
+		if(phase !== embassy.type) yield change(DumpChangeType.EMBASSY,
+			phase, embassy.type, embassy.region);
+	}
+	for(let [ other, phase ] of embassies)
+		yield change(DumpChangeType.EMBASSY, phase, null, other);
+
+	let officers = new Map((before?.officers ?? [])
+		.map((officer) => [ officer.nation, officer ]));
+	for(let officer of after.officers ?? []) {
+		let old = officers.get(officer.nation) ?? null;
+		officers.delete(officer.nation);
+		if(!old || old.office !== officer.office
+			|| !sameSet(old.authorities, officer.authorities))
+			yield change(DumpChangeType.OFFICER, old, officer, officer.nation);
+	}
+	for(let [ nation, officer ] of officers)
+		yield change(DumpChangeType.OFFICER, officer, null, nation);
+
+	if(before && before.flag !== after.flag)
+		yield change(DumpChangeType.FLAG, before.flag, after.flag);
+	if(before && before.wfe !== after.wfe)
+		yield change(DumpChangeType.WFE, before.wfe, after.wfe);
+}
+
+/**
+ * Checks whether the given nation is a member of the World Assembly.
+ * @arg {types.DumpNation} nation Nation to check
+ * @returns {boolean} `true` if it is a member or Delegate
+ * @ignore
+ */
+function isMember(nation) {
+	return !!nation.waStatus && nation.waStatus !== WAStatus.NONMEMBER;
+}
+
+/**
+ * Checks whether the two given lists contain the same values, disregarding
+ * their order.
+ * @arg {?any[]} a First list
+ * @arg {?any[]} b Second list
+ * @returns {boolean} `true` if they contain the same values
+ * @ignore
+ */
+function sameSet(a, b) {
+	a = new Set(a ?? []);
+	b = new Set(b ?? []);
+	return a.size === b.size && [ ...a ].every((value) => b.has(value));
+}
+
+exports.DumpChangeType = DumpChangeType;
+exports.DumpDiff = DumpDiff;
@@ -28,12 +28,20 @@ class NSError extends Error {
  * NationStates API.
  */
 class APIError extends NSError {
+	/**
+	 * HTTP status code returned by the NS servers, if the error stems from
+	 * one.
+	 * @type {?number}
+	 */
+	status;
 	/**
 	 * Instantiates a new {@linkcode APIError}.
 	 * @arg {string} message Error message to display.
+	 * @arg {?number} status HTTP status code returned
 	 */
-	constructor(message) {
+	constructor(message, status = null) {
 		super('API error: ' + message);
+		this.status = status;
 	}
 }
 
@@ -74,6 +82,39 @@ class RatelimitError extends APIError {
 	}
 }
 
+/**
+ * An {@link APIError} indicating that the NS servers failed to handle a
+ * request due to an internal problem, i.e. responded with a 5xx status code.
+ */
+class ServerError extends APIError {
+	/**
+	 * @arg {number} status HTTP status code returned
+	 * @arg {string} message HTTP status message returned
+	 */
+	constructor(status, message = '') {
+		super(status + ' ' + message, status);
+	}
+}
+
+/**
+ * An {@link APIError} indicating that the NS servers could not be reached or
+ * the connection to them failed before a response was received.
+ */
+class NetworkError extends APIError {
+	/**
+	 * The underlying error, usually emitted by a socket.
+	 * @type {any}
+	 */
+	cause;
+	/**
+	 * @arg {any} cause Underlying error
+	 */
+	constructor(cause) {
+		super('Network failure: ' + (cause?.message ?? cause));
+		this.cause = cause;
+	}
+}
+
 /**
  * An {@link APIError} indicating a Daily Data Dump requested on condition of
  * modification after a given date has not been modified after that date.
@@ -84,6 +125,51 @@ class DumpNotModifiedError extends APIError {
 	}
 }
 
+/**
+ * An {@link NSError} indicating that a downloaded Data Dump is incomplete or
+ * otherwise corrupt, and was therefore discarded.
+ */
+class CorruptDumpError extends NSError {
+	/**
+	 * @arg {string} reason Description of the corruption
+	 */
+	constructor(reason) {
+		super('Corrupt dump download: ' + reason);
+	}
+}
+
+/**
+ * An {@link NSError} indicating that a request was aborted via the
+ * `AbortSignal` registered for it before it completed.
+ */
+class RequestAbortedError extends NSError {
+	/**
+	 * @arg {string} message Error message to display
+	 */
+	constructor(message = 'Request aborted') {
+		super(message);
+	}
+}
+
+/**
+ * A {@link RequestAbortedError} indicating that a request was aborted because
+ * it did not complete within the time limit registered for it.
+ */
+class RequestTimeoutError extends RequestAbortedError {
+	/**
+	 * Number of milliseconds the request was allowed to take.
+	 * @type {number}
+	 */
+	limit;
+	/**
+	 * @arg {number} limit Number of milliseconds allowed
+	 */
+	constructor(limit) {
+		super(`Request timed out after ${limit}ms`);
+		this.limit = limit;
+	}
+}
+
 /**
  * An {@link NSError} indicating a virtual function has not been implemented in
  * a subclass.
@@ -125,7 +211,12 @@ exports.APIError = APIError;
 exports.EntityNotFoundError = EntityNotFoundError;
 exports.RecentLoginError = RecentLoginError;
 exports.RatelimitError = RatelimitError;
+exports.ServerError = ServerError;
+exports.NetworkError = NetworkError;
 exports.DumpNotModifiedError = DumpNotModifiedError;
+exports.CorruptDumpError = CorruptDumpError;
+exports.RequestAbortedError = RequestAbortedError;
+exports.RequestTimeoutError = RequestTimeoutError;
 exports.VirtualError = VirtualError;
 exports.ProductWithheldError = ProductWithheldError;
 exports.FactoryFinalisedError = FactoryFinalisedError;
@@ -0,0 +1,461 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+/**
+ * Provides functions for exporting the contents of Data Dumps into formats
+ * usable outside of JavaScript. All of them read the Dump as a stream, so that
+ * it never has to be held in memory as a whole, and they fetch the Dump
+ * according to the {@link DumpMode} of the given request. Unless a filter has
+ * been configured for the request, all objects of the Dump are exported.
+ * @module nationscript/export
+ */
+
+const fs = require('node:fs');
+const { once } = require('node:events');
+const { Writable, finished } = require('node:stream');
+const { promisify } = require('node:util');
+
+const { NSError } = require('./errors');
+const {
+	DumpRequest,
+	NationDumpRequest,
+	RegionDumpRequest,
+	CardDumpRequest
+} = require('./requests/dump');
+
+/**
+ * @typedef {string|Writable} ExportTarget
+ * Path of a file to write an export to, or a writable stream. A file is
+ * created or overwritten, and closed once the export is complete; a stream
+ * is left open.
+ */
+/**
+ * @typedef TableSchema
+ * Describes how the objects of a Dump are split into normalised tables.
+ * @prop {string} table Name of the table containing the objects
+ * @prop {string} key Property identifying an object
+ * @prop {string} reference Name of the column referencing an object in the
+ *     tables of its list properties
+ * @prop {Object.<string, ChildSchema>} children Tables for list properties,
+ *     keyed by property name
+ * @ignore
+ */
+/**
+ * @typedef ChildSchema
+ * @prop {string} table Name of the table containing the list entries
+ * @prop {string} [column] Name of the column for entries that are not objects
+ * @ignore
+ */
+
+/**
+ * Tables to export the objects of each Dump into.
+ * @type {Map<Function, TableSchema>}
+ * @ignore
+ */
+const schemas = new Map([
+	[ NationDumpRequest, {
+		table: 'nations',
+		key: 'name',
+		reference: 'nation',
+		children: {
+			endorsements: { table: 'endorsements', column: 'endorser' },
+			census: { table: 'census' }
+		}
+	} ],
+	[ RegionDumpRequest, {
+		table: 'regions',
+		key: 'name',
+		reference: 'region',
+		children: {
+			embassies: { table: 'embassies' },
+			officers: { table: 'officers' },
+			nations: { table: 'residents', column: 'nation' }
+		}
+	} ],
+	[ CardDumpRequest, {
+		table: 'cards',
+		key: 'id',
+		reference: 'card',
+		children: {
+			trophies: { table: 'trophies' },
+			badges: { table: 'badges' }
+		}
+	} ]
+]);
+
+/**
+ * Writes each object of the Dump fetched by the given request as a line of
+ * JSON to the given target.
+ * @arg {DumpRequest} request Request fetching the Dump
+ * @arg {ExportTarget} target File or stream to write to
+ * @returns {Promise<number>} Number of objects written
+ */
+async function exportNDJSON(request, target) {
+	checkRequest(request);
+	return await withTarget(target, async (write) => {
+		let ret = 0;
+		for await (let obj of request.stream()) {
+			await write(JSON.stringify(obj) + '\n');
+			ret++;
+		}
+		return ret;
+	});
+}
+
+/**
+ * Writes the objects of the Dump fetched by the given request as rows of CSV
+ * to the given target, headed by a row of column names. Nested properties
+ * are addressed by joining the property names with dots, as in
+ * `freedomScores.civil`. Lists of plain values are joined with `;`,
+ * while other lists and objects are written as JSON.
+ * @arg {DumpRequest} request Request fetching the Dump
+ * @arg {ExportTarget} target File or stream to write to
+ * @arg {?string[]} columns Properties to write; by default, all properties of
+ *     the first object, with nested objects flattened
+ * @returns {Promise<number>} Number of objects written
+ */
+async function exportCSV(request, target, columns = null) {
+	checkRequest(request);
+	if(columns !== null && (!Array.isArray(columns)
+		|| columns.some((c) => typeof c !== 'string')))
+		throw new TypeError('Invalid columns: ' + columns);
+
+	return await withTarget(target, async (write) => {
+		if(columns) await write(columns.map(escapeCSV).join(',') + '\n');
+		let ret = 0;
+		for await (let obj of request.stream()) {
+			if(!columns) {
+				columns = Object.keys(flatten(obj));
+				await write(columns.map(escapeCSV).join(',') + '\n');
+			}
+			await write(columns
+				.map((column) => escapeCSV(toText(resolve(obj, column))))
+				.join(',') + '\n');
+			ret++;
+		}
+		return ret;
+	});
+}
+
+/**
+ * Writes the objects of the Dump fetched by the given request into a SQLite
+ * database, split into normalised tables: the objects themselves go into
+ * the `nations`, `regions`, or `cards` table, while the entries of their
+ * list properties go into tables of their own, referencing the object -
+ * namely `endorsements` and `census` for nations, `embassies`, `officers`,
+ * and `residents` for regions, and `trophies` and `badges` for cards. Any
+ * existing tables of these names are replaced.
+ *
+ * Nested objects are flattened into columns named with dots, as in
+ * `freedomScores.civil`, while other lists are stored as JSON.
+ *
+ * Requires either the `node:sqlite` module of Node.js 22.5 or later, or the
+ * `better-sqlite3` package to be installed.
+ * @arg {DumpRequest} request Request fetching the Dump
+ * @arg {string} file Path of the database file; created if it doesn't exist
+ * @returns {Promise<number>} Number of objects written
+ */
+async function exportSQLite(request, file) {
+	checkRequest(request);
+	if(typeof file !== 'string') throw new TypeError('Invalid path: ' + file);
+
+	const schema = [ ...schemas ]
+		.find(([ type ]) => request instanceof type)?.[1];
+	if(!schema) throw new TypeError('Unsupported dump request: ' + request);
+	const db = new SQLiteWriter(openDatabase(file));
+	try {
+		db.reset(schema.table, [ schema.key ]);
+		for(let child of Object.values(schema.children))
+			db.reset(child.table, [ schema.reference ]);
+
+		let ret = 0;
+		db.begin();
+		for await (let obj of request.stream()) {
+			let row = {};
+			for(let [ name, value ] of Object.entries(obj)) {
+				let child = schema.children[name];
+				if(!child || !Array.isArray(value)) {
+					Object.assign(row, flatten({ [name]: value }));
+					continue;
+				}
+				for(let entry of value) db.insert(child.table, Object.assign({
+					[schema.reference]: obj[schema.key]
+				}, isPlain(entry)
+					? flatten(entry)
+					: { [child.column ?? 'value']: entry }));
+			}
+			db.insert(schema.table, row);
+
+			// Commit regularly, so that the journal doesn't grow too large
+			if(++ret % 1000 === 0) {
+				db.commit();
+				db.begin();
+			}
+		}
+		db.commit();
+		return ret;
+	} finally {
+		db.close();
+	}
+}
+
+/**
+ * Writes rows into the tables of a SQLite database, adding columns to the
+ * tables as they are needed.
+ * @ignore
+ */
+class SQLiteWriter {
+	/**
+	 * The database connection, either a `DatabaseSync` of `node:sqlite` or a
+	 * `Database` of `better-sqlite3` - both offer the same methods needed.
+	 * @type {any}
+	 */
+	db;
+
+	/**
+	 * Columns of each table, keyed by table name.
+	 * @type {Map<string, Set<string>>}
+	 */
+	columns = new Map();
+
+	/**
+	 * Prepared insert statements, keyed by table and column names.
+	 * @type {Map<string, any>}
+	 */
+	statements = new Map();
+
+	/**
+	 * @arg {any} db The database connection
+	 */
+	constructor(db) {
+		this.db = db;
+	}
+
+	/**
+	 * (Re-)creates a table with the given initial columns.
+	 * @arg {string} table Name of the table
+	 * @arg {string[]} columns Names of the initial columns
+	 */
+	reset(table, columns) {
+		this.db.exec(`DROP TABLE IF EXISTS ${quote(table)}`);
+		this.db.exec(`CREATE TABLE ${quote(table)} (`
+			+ columns.map(quote).join(', ') + ')');
+		this.columns.set(table, new Set(columns));
+	}
+
+	/**
+	 * Inserts a row into a table, adding any columns it doesn't have yet.
+	 * @arg {string} table Name of the table
+	 * @arg {Object.<string, any>} row Values of the row, keyed by column
+	 */
+	insert(table, row) {
+		let known = this.columns.get(table);
+		let names = Object.keys(row);
+		for(let name of names) if(!known.has(name)) {
+			this.db.exec(`ALTER TABLE ${quote(table)} `
+				+ `ADD COLUMN ${quote(name)}`);
+			known.add(name);
+		}
+
+		let key = table + '\n' + names.join('\n');
+		let statement = this.statements.get(key);
+		if(!statement) {
+			statement = this.db.prepare(`INSERT INTO ${quote(table)} (`
+				+ names.map(quote).join(', ') + ') VALUES ('
+				+ names.map(() => '?').join(', ') + ')');
+			this.statements.set(key, statement);
+		}
+		statement.run(...names.map((name) => toSQL(row[name])));
+	}
+
+	/** Starts a transaction. */
+	begin() {
+		this.db.exec('BEGIN');
+	}
+
+	/** Commits the current transaction. */
+	commit() {
+		this.db.exec('COMMIT');
+	}
+
+	/** Closes the database connection, discarding uncommitted changes. */
+	close() {
+		if(this.db.isTransaction ?? this.db.inTransaction)
+			this.db.exec('ROLLBACK');
+		this.db.close();
+	}
+}
+
+/**
+ * Opens a SQLite database using whichever supported driver is available.
+ * @arg {string} file Path of the database file
+ * @returns {any} The database connection
+ * @throws {NSError} if no driver is available
+ * @ignore
+ */
+function openDatabase(file) {
+	try {
+		const { DatabaseSync } = require('node:sqlite');
+		return new DatabaseSync(file);
+	} catch(e) {
+		if(e.code !== 'ERR_UNKNOWN_BUILTIN_MODULE') throw e;
+	}
+	try {
+		const Database = require('better-sqlite3');
+		return new Database(file);
+	} catch(e) {
+		if(e.code !== 'MODULE_NOT_FOUND') throw e;
+	}
+	throw new NSError('Exporting to SQLite requires Node.js 22.5 or later, '
+		+ 'or the better-sqlite3 package');
+}
+
+/**
+ * Runs the given task with a function writing to the given target, which
+ * waits for the target to drain whenever its buffer is full. Should writing
+ * to the target fail, e.g. because a file can't be opened, the error is
+ * thrown by the next write, or once the task is done.
+ * @template T
+ * @arg {ExportTarget} target File or stream to write to
+ * @arg {function(function(string): Promise<void>): Promise<T>} task Task to
+ *     run
+ * @returns {Promise<T>} The result of the task
+ * @ignore
+ */
+async function withTarget(target, task) {
+	let owned = typeof target === 'string';
+	if(!owned && !(target instanceof Writable))
+		throw new TypeError('Invalid export target: ' + target);
+
+	/** @type {Writable} */
+	let stream = owned ? fs.createWriteStream(target) : target;
+	let failure = null;
+	let onError = (e) => {
+		if(!failure) failure = e;
+	};
+	stream.on('error', onError);
+	try {
+		let ret = await task(async (chunk) => {
+			if(failure) throw failure;
+			if(!stream.write(chunk)) await once(stream, 'drain');
+		});
+		if(owned) {
+			stream.end();
+			await promisify(finished)(stream);
+		}
+		if(failure) throw failure;
+		return ret;
+	} finally {
+		stream.off('error', onError);
+		if(owned) stream.destroy();
+	}
+}
+
+/**
+ * Ensures that the given value is a Dump request, and lets it keep all
+ * objects of the Dump unless a filter has been configured for it.
+ * @arg {any} request Value to check
+ * @throws {TypeError} if `request` isn't a `DumpRequest`
+ * @ignore
+ */
+function checkRequest(request) {
+	if(!(request instanceof DumpRequest))
+		throw new TypeError('Invalid dump request: ' + request);
+	if(!request.hasFilter()) request.setFilter(() => true);
+}
+
+/**
+ * Checks whether the given value is a plain object, as opposed to a list or
+ * a primitive value.
+ * @arg {any} value Value to check
+ * @returns {boolean} `true` if it is a plain object
+ * @ignore
+ */
+function isPlain(value) {
+	return typeof value === 'object' && value !== null
+		&& !Array.isArray(value);
+}
+
+/**
+ * Flattens the nested objects within the given object into properties named
+ * with dots, as in `freedomScores.civil`.
+ * @arg {object} obj Object to flatten
+ * @arg {string} prefix Prefix to prepend to the property names
+ * @returns {Object.<string, any>} The flattened properties
+ * @ignore
+ */
+function flatten(obj, prefix = '') {
+	let ret = {};
+	for(let [ name, value ] of Object.entries(obj)) {
+		if(isPlain(value))
+			Object.assign(ret, flatten(value, prefix + name + '.'));
+		else ret[prefix + name] = value;
+	}
+	return ret;
+}
+
+/**
+ * Gets the value of the property at the given path of the given object.
+ * @arg {object} obj Object to read from
+ * @arg {string} path Property names, joined with dots
+ * @returns {any} The value; `undefined` if the path doesn't exist
+ * @ignore
+ */
+function resolve(obj, path) {
+	return path.split('.').reduce((target, name) => target?.[name], obj);
+}
+
+/**
+ * Converts the given value into text for a CSV cell.
+ * @arg {any} value Value to convert
+ * @returns {string} The text
+ * @ignore
+ */
+function toText(value) {
+	if(value === null || value === undefined) return '';
+	if(Array.isArray(value) && !value.some((v) => typeof v === 'object'))
+		return value.join(';');
+	if(typeof value === 'object') return JSON.stringify(value);
+	return String(value);
+}
+
+/**
+ * Converts the given value into one that can be stored in a SQLite column.
+ * @arg {any} value Value to convert
+ * @returns {?(string|number)} The storable value
+ * @ignore
+ */
+function toSQL(value) {
+	if(value === null || value === undefined) return null;
+	if(typeof value === 'boolean') return value ? 1 : 0;
+	if(typeof value === 'number' || typeof value === 'string') return value;
+	return toText(value);
+}
+
+/**
+ * Quotes the given text for a CSV cell, if necessary.
+ * @arg {string} text Text to quote
+ * @returns {string} The cell content
+ * @ignore
+ */
+function escapeCSV(text) {
+	if(!/[",\r\n]/.test(text)) return text;
+	return '"' + text.replace(/"/g, '""') + '"';
+}
+
+/**
+ * Quotes the given name for use as a SQL identifier.
+ * @arg {string} name Name to quote
+ * @returns {string} The identifier
+ * @ignore
+ */
+function quote(name) {
+	return '"' + name.replace(/"/g, '""') + '"';
+}
+
+exports.exportNDJSON = exportNDJSON;
+exports.exportCSV = exportCSV;
+exports.exportSQLite = exportSQLite;
@@ -44,6 +44,15 @@ const {
  * @typedef {Object.<string, string>} Attributes
  */
 
+/**
+ * Thrown by {@link NSFactory#build build} to stop a {@link TagHandler} that
+ * targets a property not to be built, before it assigns a sub-factory.
+ * Caught by {@link NSFactory#handleOpen handleOpen}.
+ * @type {symbol}
+ * @ignore
+ */
+const skip = Symbol('skip');
+
 /**
  * The basic factory class, containing functions for the handling of events
  * emitted by the XML parser on the responses from the NationStates API.
@@ -165,6 +174,51 @@ class NSFactory {
 	 */
 	ignore = '';
 
+	/**
+	 * Names of the only properties of the {@link NSFactory#product product}
+	 * to build; `null` to build all of them. Tags whose content would go into
+	 * any other property are {@link NSFactory#ignore ignore}d, without
+	 * creating sub-factories for them, and values set for any other property
+	 * are discarded.
+	 * @type {?Set<string>}
+	 * @private
+	 * @default
+	 */
+	projection = null;
+
+	/**
+	 * Restricts this factory to building only the given properties of its
+	 * {@link NSFactory#product product}. Any other properties already set
+	 * are removed.
+	 * @arg {?string[]} names Names of the properties to build; `null` to
+	 *     build all of them
+	 * @returns {this} The factory, for chaining
+	 * @public
+	 */
+	project(names) {
+		if(names !== null && !Array.isArray(names))
+			throw new TypeError('Invalid property names: ' + names);
+		this.projection = names && new Set(names);
+		if(this.projection && typeof this.product === 'object'
+			&& this.product !== null)
+			for(let name of Object.keys(this.product))
+				if(!this.projection.has(name)) delete this.product[name];
+		return this;
+	}
+
+	/**
+	 * Checks whether the given property of the
+	 * {@link NSFactory#product product} is to be built, as per the
+	 * {@link NSFactory#projection projection}.
+	 * @arg {string} name Name of the property
+	 * @returns {boolean} `true` if it is to be built
+	 * @private
+	 */
+	isProjected(name) {
+		return !this.projection || name === ''
+			|| this.projection.has(name.split('.')[0]);
+	}
+
 	/**
 	 * Requests this factory to deliver its {@link NSFactory#product product}.
 	 * Should it not be {@link NSFactory#finalised finalised} yet, the factory
@@ -193,6 +247,7 @@ class NSFactory {
 			throw new TypeError('Invalid target product property:' + name);
 		if(typeof convert !== 'function')
 			throw new TypeError('Invalid property converter: ' + convert);
+		if(!this.isProjected(name)) throw skip;
 
 		this.property = name;
 		this.convert = convert;
@@ -211,6 +266,7 @@ class NSFactory {
 	 * @public
 	 */
 	set(name, value, convert = val => val) {
+		if(!this.isProjected(name)) return this;
 		this.build(name, convert)
 			.addToProduct(value);
 		return this;
@@ -332,7 +388,16 @@ class NSFactory {
 		// If there is a matching tag registered, call associated handlers
 		if(name in this.tags) {
 			this.ignore = '';
-			for(let handler of this.tags[name]) handler(this, attrs);
+			try {
+				for(let handler of this.tags[name]) handler(this, attrs);
+			} catch(e) {
+				if(e !== skip) throw e;
+
+				// Skip the content of tags for properties not to be built
+				this.subFactory = null;
+				this.ignore = name;
+				return false;
+			}
 
 			// All opened tags MUST be handled by a sub-factory!
 			if(!this.subFactory) this.assignSubFactory(new NSFactory());
@@ -505,6 +570,15 @@ class ArrayFactory extends NSFactory {
  * @returns {boolean} `true` to keep the `product`, `false` to discard it
  * @template ProductType
  */
+/**
+ * @callback FactoryConsumer
+ * A function to be called by a {@link DumpFactory} with each newly-produced
+ * {@link NSFactory#product product} it decided to keep, so that the `product`
+ * doesn't have to be held in memory until all are produced.
+ * @arg {ProductType} product The `product` to consume
+ * @returns {void}
+ * @template ProductType
+ */
 /**
  * An `ArrayFactory` that subjects each new {@link NSFactory#product product}
  * to a {@link DumpFactory#decider decider} function in order to determine
@@ -520,19 +594,33 @@ class DumpFactory extends ArrayFactory {
 	 */
 	decider = (check) => false;
 
+	/**
+	 * Function to hand each accepted {@link NSFactory#product product} to
+	 * instead of adding it to the {@link ArrayFactory#collection collection}.
+	 * If `null`, accepted `product`s are collected.
+	 * @type {?FactoryConsumer<ProductType>}
+	 */
+	consumer = null;
+
 	/**
 	 * @arg {FactoryDecider<ProductType>} decider Decider function to use
+	 * @arg {?FactoryConsumer<ProductType>} consumer Consumer function to use
 	 */
-	constructor(decider) {
+	constructor(decider, consumer = null) {
 		super();
 		if(typeof decider !== 'function')
 			throw new TypeError('Invalid factory predicate: ' + decider);
+		if(consumer !== null && typeof consumer !== 'function')
+			throw new TypeError('Invalid factory consumer: ' + consumer);
 		this.decider = decider;
+		this.consumer = consumer;
 	}
 
 	/** @inheritdoc */
 	addToProduct(val) {
-		if(this.decider(val)) super.addToProduct(val);
+		if(!this.decider(val)) return;
+		super.addToProduct(val);
+		if(this.consumer) this.consumer(this.collection.pop());
 	}
 }
 
@@ -0,0 +1,375 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+/**
+ * Provides the means of following the happenings of the NationStates world as
+ * they occur.
+ * @module nationscript/feed
+ */
+
+const { EventEmitter } = require('node:events');
+const fs = require('node:fs');
+
+const { createController } = require('./requests/abort');
+const { WorldRequest } = require('./requests/world');
+const { WorldShard } = require('./shards');
+const types = require('./types');
+
+/**
+ * Number of happenings requested per page.
+ * @type {number}
+ * @default 100
+ * @ignore
+ */
+const pageSize = 100;
+
+/**
+ * Follows the happenings of the NationStates world by polling the
+ * {@link WorldShard.HAPPENINGS} shard, emitting each new happening exactly
+ * once, in the order they occurred.
+ *
+ * The feed keeps track of the ID of the last happening it emitted - its
+ * cursor - and only asks for happenings after it. Should more happenings have
+ * occurred since than fit into one response, it pages back through them until
+ * it has all of them. When no cursor is set, the feed starts with the
+ * happenings occurring after its first poll. The cursor can be stored in a
+ * file, so that the feed resumes where it left off after a restart.
+ *
+ * Between polls, the feed waits for its configured interval, stretched
+ * according to how much of the rate-limit is already used up by other
+ * requests of the client.
+ * @fires HappeningsFeed#happening
+ * @fires HappeningsFeed#error
+ */
+class HappeningsFeed extends EventEmitter {
+	/**
+	 * Client to make the requests with.
+	 * @type {import('./client').NSClient}
+	 * @private
+	 */
+	client;
+
+	/**
+	 * Request holding the filters and view to apply to the happenings.
+	 * @type {WorldRequest}
+	 * @private
+	 */
+	template;
+
+	/**
+	 * ID of the last happening emitted; `null` if none has been yet.
+	 * @type {?number}
+	 * @private
+	 */
+	position = null;
+
+	/**
+	 * Path to the file to store the cursor in; `null` to not store it.
+	 * @type {?string}
+	 * @private
+	 */
+	file = null;
+
+	/**
+	 * Number of milliseconds to wait between polls while the rate-limit is
+	 * unused.
+	 * @type {number}
+	 * @default 15000
+	 * @private
+	 */
+	interval = 15000;
+
+	/**
+	 * Number of milliseconds to wait between polls at most, no matter how
+	 * much of the rate-limit is used.
+	 * @type {number}
+	 * @default 300000
+	 * @private
+	 */
+	maxInterval = 300000;
+
+	/**
+	 * Controller to abort the current poll with once the feed is stopped;
+	 * `null` while the feed isn't running.
+	 * @type {?AbortController}
+	 * @private
+	 */
+	controller = null;
+
+	/**
+	 * Function ending the current wait between polls early.
+	 * @type {?Function}
+	 * @private
+	 */
+	wake = null;
+
+	/**
+	 * @arg {import('./client').NSClient} client Client to make the requests
+	 *     with
+	 */
+	constructor(client) {
+		super();
+		this.client = client;
+		this.template = new WorldRequest();
+	}
+
+	/**
+	 * ID of the last happening emitted, after which the next poll continues;
+	 * `null` if the feed hasn't emitted any happenings yet.
+	 * @type {?number}
+	 */
+	get cursor() {
+		return this.position;
+	}
+
+	/**
+	 * Whether the feed is currently polling regularly.
+	 * @type {boolean}
+	 */
+	get running() {
+		return this.controller !== null;
+	}
+
+	/**
+	 * Set the ID of the happening after which to continue.
+	 * @arg {?number} id ID of the last happening already handled; `null` to
+	 *     start with the happenings occurring after the next poll
+	 * @returns {this} The feed, for chaining
+	 */
+	setCursor(id) {
+		if(id !== null && !Number.isInteger(id))
+			throw new TypeError('Invalid cursor: ' + id);
+		this.position = id;
+		return this;
+	}
+
+	/**
+	 * Set a file to store the cursor in after each poll that emitted
+	 * happenings. If the file already exists, the cursor stored in it is
+	 * read, so that the feed continues where it left off.
+	 * @arg {?string} file Path to the file; `null` to not store the cursor
+	 * @returns {this} The feed, for chaining
+	 */
+	setCursorFile(file) {
+		if(file !== null && typeof file !== 'string')
+			throw new TypeError('Invalid cursor file: ' + file);
+		this.file = file;
+		if(file !== null && fs.existsSync(file)) {
+			let stored = JSON.parse(fs.readFileSync(file, 'utf-8')).cursor;
+			if(Number.isInteger(stored)) this.position = stored;
+		}
+		return this;
+	}
+
+	/**
+	 * Set how long to wait between polls.
+	 * @arg {number} interval Number of milliseconds to wait while the
+	 *     rate-limit is unused
+	 * @arg {number} maxInterval Number of milliseconds to wait at most, no
+	 *     matter how much of the rate-limit is used
+	 * @returns {this} The feed, for chaining
+	 */
+	setInterval(interval, maxInterval = Math.max(interval, this.maxInterval)) {
+		if(typeof interval !== 'number' || interval < 0)
+			throw new TypeError('Invalid interval: ' + interval);
+		if(typeof maxInterval !== 'number' || maxInterval < interval)
+			throw new TypeError('Invalid maximum interval: ' + maxInterval);
+		this.interval = interval;
+		this.maxInterval = maxInterval;
+		return this;
+	}
+
+	/**
+	 * Only follow happenings matching one of the given filters.
+	 * @arg {...string} filters {@link HappeningsFilter}s to apply
+	 * @returns {this} The feed, for chaining
+	 * @see {@link WorldRequest#setHappeningsFilters}
+	 */
+	setHappeningsFilters(...filters) {
+		this.template.setHappeningsFilters(...filters);
+		return this;
+	}
+
+	/**
+	 * Only follow happenings of the given nations. Replaces any regions set
+	 * via {@link HappeningsFeed#setHappeningsRegions setHappeningsRegions}.
+	 * @arg {...string} nations Names of the nations
+	 * @returns {this} The feed, for chaining
+	 * @see {@link WorldRequest#setHappeningsNations}
+	 */
+	setHappeningsNations(...nations) {
+		this.template.setHappeningsNations(...nations);
+		return this;
+	}
+
+	/**
+	 * Only follow happenings of the given regions. Replaces any nations set
+	 * via {@link HappeningsFeed#setHappeningsNations setHappeningsNations}.
+	 * @arg {...string} regions Names of the regions
+	 * @returns {this} The feed, for chaining
+	 * @see {@link WorldRequest#setHappeningsRegions}
+	 */
+	setHappeningsRegions(...regions) {
+		this.template.setHappeningsRegions(...regions);
+		return this;
+	}
+
+	/**
+	 * Starts polling regularly, until {@link HappeningsFeed#stop stop} is
+	 * called. Errors occurring during a poll are emitted as `error` events,
+	 * if anything listens for them, after which polling continues.
+	 * @returns {this} The feed, for chaining
+	 */
+	start() {
+		if(this.running) return this;
+		let controller = this.controller = createController();
+		(async () => {
+			while(!controller.signal.aborted) {
+				try {
+					await this.poll(controller.signal);
+				} catch(e) {
+					if(!controller.signal.aborted
+						&& this.listenerCount('error') > 0)
+							this.emit('error', e);
+				}
+				if(controller.signal.aborted) break;
+				await new Promise((resolve) => {
+					let timer = setTimeout(resolve, this.getDelay());
+					this.wake = () => {
+						clearTimeout(timer);
+						resolve();
+					};
+				});
+				this.wake = null;
+			}
+		})().catch(() => {
+			// Reached if an error listener throws, which ends the polling
+			if(this.controller === controller) this.controller = null;
+		});
+		return this;
+	}
+
+	/**
+	 * Stops polling, aborting the current poll, if any. Happenings emitted
+	 * before remain accounted for in the cursor.
+	 * @returns {this} The feed, for chaining
+	 */
+	stop() {
+		this.controller?.abort();
+		this.controller = null;
+		this.wake?.();
+		return this;
+	}
+
+	/**
+	 * Fetches all happenings after the {@link HappeningsFeed#cursor cursor}
+	 * and emits them, oldest first. If no cursor is set yet, it is merely set
+	 * to the ID of the most recent happening.
+	 * @arg {?AbortSignal} signal Signal to abort the poll with
+	 * @returns {Promise<types.IDHappening[]>} The happenings emitted
+	 */
+	async poll(signal = null) {
+		if(this.position === null) {
+			let world = await this.client.world()
+				.shard(WorldShard.LAST_EVENT_ID)
+				.bypassCache()
+				.setSignal(signal)
+				.send();
+			this.setCursor(world.lastEventID ?? null);
+			this.store();
+			return [];
+		}
+
+		// The API returns the most recent happenings first, so page back
+		// until reaching the cursor
+		let since = this.position;
+		/** @type {Map<number, types.IDHappening>} */
+		let found = new Map();
+		let before = null;
+		for(;;) {
+			let request = this.createRequest().setSignal(signal)
+				.setArgument('sinceid', since);
+			if(before !== null) request.setArgument('beforeid', before);
+			let page = (await request.send()).happenings ?? [];
+			for(let happening of page) found.set(happening.id, happening);
+			if(page.length < pageSize) break;
+			before = Math.min(...page.map((happening) => happening.id));
+		}
+
+		let ret = [ ...found.values() ]
+			.filter((happening) => happening.id > since)
+			.sort((a, b) => a.id - b.id);
+		try {
+			for(let happening of ret) {
+				this.position = happening.id;
+				this.emit('happening', happening);
+			}
+		} finally {
+			if(this.position !== since) this.store();
+		}
+		return ret;
+	}
+
+	/**
+	 * Creates the request for a page of happenings, applying the filters and
+	 * view set. The request bypasses the client's {@link ResponseCache},
+	 * since a cached page would hide new happenings.
+	 * @returns {WorldRequest} The request
+	 * @private
+	 */
+	createRequest() {
+		let ret = this.client.world()
+			.shard(WorldShard.HAPPENINGS)
+			.setHappeningsLimit(pageSize)
+			.bypassCache();
+		for(let key of [ 'filter', 'view' ]) {
+			let value = this.template.getArgument(key);
+			if(value !== undefined) ret.setArgument(key, value);
+		}
+		return ret;
+	}
+
+	/**
+	 * Determines how long to wait until the next poll: the configured
+	 * interval, multiplied by the ratio of the rate-limit to the number of
+	 * requests that remain in the current time window, but at least until the
+	 * API allows requests again after a rate-limit excess.
+	 * @returns {number} Number of milliseconds to wait
+	 * @private
+	 */
+	getDelay() {
+		let status = this.client.rateLimiter.getStatus();
+		let ret = Math.min(this.maxInterval,
+			this.interval * status.limit / Math.max(1, status.remaining));
+		if(status.retry !== null)
+			ret = Math.max(ret, status.retry - Date.now());
+		return ret;
+	}
+
+	/**
+	 * Writes the cursor to the {@link HappeningsFeed#file file}, if any.
+	 * @private
+	 */
+	store() {
+		if(this.file === null) return;
+		let temp = `${this.file}.${process.pid}.tmp`;
+		fs.writeFileSync(temp, JSON.stringify({ cursor: this.position }));
+		fs.renameSync(temp, this.file);
+	}
+}
+
+/**
+ * Emitted for each new happening, in the order they occurred.
+ * @event HappeningsFeed#happening
+ * @type {types.IDHappening}
+ */
+/**
+ * Emitted when a poll started via {@link HappeningsFeed#start start} fails.
+ * @event HappeningsFeed#error
+ * @type {Error}
+ */
+
+exports.HappeningsFeed = HappeningsFeed;
@@ -0,0 +1,246 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+/**
+ * Provides the means of interpreting the text of happenings.
+ * @module nationscript/happenings
+ */
+
+const { toIDForm } = require('./requests/base');
+const {
+	WACouncil,
+	WAVote
+} = require('./enums');
+const types = require('./types');
+
+/**
+ * Kinds of events that {@link parseHappening} recognises in happenings.
+ * @enum {string}
+ */
+const HappeningType = {
+	/** A nation moved from one region to another. */
+	MOVE: 'move',
+	/** A nation was founded. */
+	FOUNDING: 'founding',
+	/** A nation that had ceased to exist was refounded. */
+	REFOUNDING: 'refounding',
+	/** A nation ceased to exist. */
+	CTE: 'cte',
+	/** A nation endorsed another. */
+	ENDORSEMENT: 'endorsement',
+	/** A nation withdrew its endorsement of another. */
+	ENDORSEMENT_WITHDRAWAL: 'endorsementWithdrawal',
+	/** A nation applied to join the World Assembly. */
+	WA_APPLICATION: 'waApplication',
+	/** A nation was admitted to the World Assembly. */
+	WA_ADMISSION: 'waAdmission',
+	/** A nation resigned from the World Assembly. */
+	WA_RESIGNATION: 'waResignation',
+	/** A nation voted on, or withdrew its vote on, a WA resolution. */
+	WA_VOTE: 'waVote',
+	/** A nation proposed constructing an embassy between two regions. */
+	EMBASSY_PROPOSAL: 'embassyProposal',
+	/** A nation ordered the closure of an embassy between two regions, or the
+	 * closure was completed. */
+	EMBASSY_CLOSURE: 'embassyClosure',
+	/** A nation was ejected from a region. */
+	EJECTION: 'ejection',
+	/** A nation was banned from a region, possibly also being ejected. */
+	BAN: 'ban',
+	/** A nation published a dispatch. */
+	DISPATCH: 'dispatch',
+	/** A nation passed new legislation by answering an issue. */
+	LAW: 'law',
+	/** Any happening not recognised as one of the other types. */
+	UNKNOWN: 'unknown'
+};
+
+/**
+ * @typedef HappeningEvent
+ * Describes the event that a single happening reports. Properties that don't
+ * apply to the {@link HappeningType} of the event are `null`.
+ * @prop {string} type {@link HappeningType} of the event
+ * @prop {?number} id ID of the happening, if known
+ * @prop {number} timestamp Timestamp of when the happening occurred
+ * @prop {string} text Unaltered text of the happening
+ * @prop {?string} nation Nation the event concerns (`id_form`): the one that
+ *     moved, was founded, endorsed, voted, published, or legislated, that
+ *     proposed or closed an embassy, or that was ejected or banned
+ * @prop {?string} region Region the event took place in (`id_form`): the one
+ *     a nation moved to, was founded in, or was ejected or banned from, or
+ *     the first of the two regions involved in an embassy
+ * @prop {?string} from Region a nation moved away from (`id_form`)
+ * @prop {?string} to Region a nation moved to (`id_form`)
+ * @prop {?string} target Counterpart of the event (`id_form`): the endorsed
+ *     nation for endorsements, and the second region for embassies
+ * @prop {?string} actor Regional officer who ejected or banned the nation
+ *     (`id_form`)
+ * @prop {?number} council {@link WACouncil} of the resolution voted on
+ * @prop {?string} vote {@link WAVote} cast - `FOR`, `AGAINST`, or `WITHDREW`
+ * @prop {?string} title Title of the resolution voted on or the dispatch
+ *     published
+ * @prop {?number} dispatch ID of the dispatch published, if the happening
+ *     links it
+ * @prop {?string} detail Further description of the event: the effect of the
+ *     new legislation, or the category of the published dispatch
+ */
+
+/**
+ * Markup of a nation reference in happening texts, capturing the name.
+ * @type {string}
+ * @ignore
+ */
+const N = '@@([^@]+)@@';
+
+/**
+ * Markup of a region reference in happening texts, capturing the name.
+ * @type {string}
+ * @ignore
+ */
+const R = '%%([^%]+)%%';
+
+/**
+ * Patterns of the recognised happening texts, without the final full stop,
+ * along with the type of event they report and a function determining the
+ * properties of the event from the captured parts of the text.
+ * @type {Array<[string, RegExp, Function]>}
+ * @ignore
+ */
+const rules = [
+	[ HappeningType.MOVE, `${N} relocated from ${R} to ${R}`,
+		(nation, from, to) => ({ nation, region: to, from, to }) ],
+	[ HappeningType.MOVE, `${N} departed this region for ${R}`,
+		(nation, to) => ({ nation, region: to, to }) ],
+	[ HappeningType.MOVE, `${N} arrived from ${R}`,
+		(nation, from) => ({ nation, from }) ],
+	[ HappeningType.FOUNDING, `${N} was founded(?: in ${R})?`,
+		(nation, region) => ({ nation, region }) ],
+	[ HappeningType.REFOUNDING, `${N} was refounded(?: in ${R})?`,
+		(nation, region) => ({ nation, region }) ],
+	[ HappeningType.CTE, `${N} ceased to exist(?: in ${R})?`,
+		(nation, region) => ({ nation, region }) ],
+	[ HappeningType.ENDORSEMENT, `${N} endorsed ${N}`,
+		(nation, target) => ({ nation, target }) ],
+	[ HappeningType.ENDORSEMENT_WITHDRAWAL,
+		`${N} withdrew its endorsement from ${N}`,
+		(nation, target) => ({ nation, target }) ],
+	[ HappeningType.WA_APPLICATION, `${N} applied to join the World Assembly`,
+		(nation) => ({ nation }) ],
+	[ HappeningType.WA_ADMISSION, `${N} was admitted to the World Assembly`,
+		(nation) => ({ nation }) ],
+	[ HappeningType.WA_RESIGNATION, `${N} resigned from the World Assembly`,
+		(nation) => ({ nation }) ],
+	[ HappeningType.WA_VOTE,
+		`${N} voted (for|against) the (General Assembly|Security Council) `
+			+ 'Resolution "(.*)"',
+		(nation, vote, council, title) => ({
+			nation,
+			vote: vote === 'for' ? WAVote.FOR : WAVote.AGAINST,
+			council: council === 'Security Council'
+				? WACouncil.SC
+				: WACouncil.GA,
+			title
+		}) ],
+	[ HappeningType.WA_VOTE,
+		`${N} withdrew its vote on the (General Assembly|Security Council) `
+			+ 'Resolution "(.*)"',
+		(nation, council, title) => ({
+			nation,
+			vote: WAVote.WITHDRAWN,
+			council: council === 'Security Council'
+				? WACouncil.SC
+				: WACouncil.GA,
+			title
+		}) ],
+	[ HappeningType.EMBASSY_PROPOSAL,
+		`${N} proposed constructing embassies between ${R} and ${R}`,
+		(nation, region, target) => ({ nation, region, target }) ],
+	[ HappeningType.EMBASSY_CLOSURE,
+		`${N} ordered the closure of embassies between ${R} and ${R}`,
+		(nation, region, target) => ({ nation, region, target }) ],
+	[ HappeningType.EMBASSY_CLOSURE, `Embassy cancelled between ${R} and ${R}`,
+		(region, target) => ({ region, target }) ],
+	[ HappeningType.BAN, `${N} (?:ejected and )?banned ${N} from ${R}`,
+		(actor, nation, region) => ({ nation, region, actor }) ],
+	[ HappeningType.EJECTION, `${N} ejected ${N} from ${R}`,
+		(actor, nation, region) => ({ nation, region, actor }) ],
+	[ HappeningType.DISPATCH,
+		`${N} published "(?:<a href="page=dispatch/id=(\\d+)">)?(.*?)`
+			+ '(?:</a>)?" \\((.*)\\)',
+		(nation, dispatch, title, detail) => ({
+			nation,
+			dispatch: dispatch === undefined ? null : parseInt(dispatch),
+			title,
+			detail
+		}) ],
+	[ HappeningType.LAW, `Following new legislation in ${N}, (.*)`,
+		(nation, detail) => ({ nation, detail }) ]
+].map(([ type, pattern, build ]) =>
+	[ type, new RegExp(`^${pattern}\\.$`), build ]);
+
+/**
+ * Properties of events that are nation or region names, and thus converted
+ * into `id_form`.
+ * @type {string[]}
+ * @ignore
+ */
+const names = [ 'nation', 'region', 'from', 'to', 'target', 'actor' ];
+
+/**
+ * Determines the event that the given happening reports from its text. The
+ * text is matched against the phrasings NationStates uses for the event types
+ * listed in {@link HappeningType}; if none of them matches, the event is of
+ * type {@link HappeningType.UNKNOWN}, but still holds the text.
+ * @arg {types.Happening|types.IDHappening} happening Happening to interpret
+ * @returns {HappeningEvent} The event reported
+ */
+function parseHappening(happening) {
+	let text = happening.text ?? '';
+	let ret = {
+		type: HappeningType.UNKNOWN,
+		id: happening.id ?? null,
+		timestamp: happening.timestamp,
+		text,
+		nation: null,
+		region: null,
+		from: null,
+		to: null,
+		target: null,
+		actor: null,
+		council: null,
+		vote: null,
+		title: null,
+		dispatch: null,
+		detail: null
+	};
+	for(let [ type, pattern, build ] of rules) {
+		let match = pattern.exec(text.trim());
+		if(!match) continue;
+
+		ret.type = type;
+		for(let [ prop, value ] of Object.entries(build(...match.slice(1))))
+			ret[prop] = value === undefined
+				? null
+				: names.includes(prop) ? toIDForm(value) : value;
+		break;
+	}
+	return ret;
+}
+
+/**
+ * Determines the events that the given happenings report, as per
+ * {@link parseHappening}.
+ * @arg {(types.Happening|types.IDHappening)[]} happenings Happenings to
+ *     interpret
+ * @returns {HappeningEvent[]} The events reported, in the same order
+ */
+function parseHappenings(happenings) {
+	return happenings.map(parseHappening);
+}
+
+exports.HappeningType = HappeningType;
+exports.parseHappening = parseHappening;
+exports.parseHappenings = parseHappenings;
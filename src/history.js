@@ -0,0 +1,228 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+/**
+ * Provides the means of walking back through the past happenings of the
+ * NationStates world.
+ * @module nationscript/history
+ */
+
+const { checkAborted } = require('./requests/abort');
+const { WorldRequest } = require('./requests/world');
+const { WorldShard } = require('./shards');
+const types = require('./types');
+
+/**
+ * Number of happenings requested per page.
+ * @type {number}
+ * @default 100
+ * @ignore
+ */
+const pageSize = 100;
+
+/**
+ * Arguments of the template request that are carried over to every page.
+ * @type {string[]}
+ * @ignore
+ */
+const carried = [ 'filter', 'view', 'sinceid', 'sincetime', 'beforetime' ];
+
+/**
+ * Walks back through the past happenings of the NationStates world, from the
+ * most recent to the oldest, e.g. to reconstruct what happened during an
+ * incident.
+ *
+ * The happenings can be limited to those of specific nations or regions, to
+ * those matching specific filters, and to a window of IDs or timestamps.
+ * Iterating over the history with `for await` then requests page after page
+ * of happenings, each one ending before the oldest happening of the previous
+ * page, and yields each happening exactly once, newest first. The iteration
+ * ends once the start of the window is reached, or the API has no older
+ * happenings left to offer.
+ */
+class HappeningsHistory {
+	/**
+	 * Client to make the requests with.
+	 * @type {import('./client').NSClient}
+	 * @private
+	 */
+	client;
+
+	/**
+	 * Request holding the view, filters, and window to apply to the
+	 * happenings.
+	 * @type {WorldRequest}
+	 * @private
+	 */
+	template;
+
+	/**
+	 * Signal to abort the iteration with.
+	 * @type {?AbortSignal}
+	 * @private
+	 */
+	signal = null;
+
+	/**
+	 * @arg {import('./client').NSClient} client Client to make the requests
+	 *     with
+	 */
+	constructor(client) {
+		this.client = client;
+		this.template = new WorldRequest();
+	}
+
+	/**
+	 * Only walk through happenings matching one of the given filters.
+	 * @arg {...string} filters {@link HappeningsFilter}s to apply
+	 * @returns {this} The history, for chaining
+	 * @see {@link WorldRequest#setHappeningsFilters}
+	 */
+	setHappeningsFilters(...filters) {
+		this.template.setHappeningsFilters(...filters);
+		return this;
+	}
+
+	/**
+	 * Only walk through happenings of the given nations. Replaces any regions
+	 * set via {@link HappeningsHistory#setHappeningsRegions
+	 * setHappeningsRegions}.
+	 * @arg {...string} nations Names of the nations
+	 * @returns {this} The history, for chaining
+	 * @see {@link WorldRequest#setHappeningsNations}
+	 */
+	setHappeningsNations(...nations) {
+		this.template.setHappeningsNations(...nations);
+		return this;
+	}
+
+	/**
+	 * Only walk through happenings of the given regions. Replaces any nations
+	 * set via {@link HappeningsHistory#setHappeningsNations
+	 * setHappeningsNations}.
+	 * @arg {...string} regions Names of the regions
+	 * @returns {this} The history, for chaining
+	 * @see {@link WorldRequest#setHappeningsRegions}
+	 */
+	setHappeningsRegions(...regions) {
+		this.template.setHappeningsRegions(...regions);
+		return this;
+	}
+
+	/**
+	 * Only walk through happenings between the happenings with the given IDs.
+	 * @arg {?number} start ID of the happening at which to stop; `null` to go
+	 *     back as far as the API allows
+	 * @arg {?number} end ID of the happening before which to begin; `null` to
+	 *     begin with the most recent happening
+	 * @returns {this} The history, for chaining
+	 * @see {@link WorldRequest#setHappeningsWindowID}
+	 */
+	setHappeningsWindowID(start, end) {
+		for(let id of [ start, end ]) if(id !== null && !Number.isInteger(id))
+			throw new TypeError('Invalid happening ID: ' + id);
+		this.template.setHappeningsWindowID(start, end);
+		return this;
+	}
+
+	/**
+	 * Only walk through happenings that occurred between the given
+	 * timestamps.
+	 * @arg {?number} start Timestamp at which to stop; `null` to go back as
+	 *     far as the API allows
+	 * @arg {?number} end Timestamp before which to begin; `null` to begin with
+	 *     the most recent happening
+	 * @returns {this} The history, for chaining
+	 * @see {@link WorldRequest#setHappeningsWindowTime}
+	 */
+	setHappeningsWindowTime(start, end) {
+		for(let time of [ start, end ]) if(time !== null
+				&& (typeof time !== 'number' || !Number.isFinite(time)))
+			throw new TypeError('Invalid timestamp: ' + time);
+		this.template.setHappeningsWindowTime(start, end);
+		return this;
+	}
+
+	/**
+	 * Set a signal to abort the iteration with. Aborting rejects the pending
+	 * request, if any, and ends the iteration with the abort reason.
+	 * @arg {?AbortSignal} signal Signal to abort with; `null` to remove it
+	 * @returns {this} The history, for chaining
+	 */
+	setSignal(signal) {
+		if(signal !== null && typeof signal?.addEventListener !== 'function')
+			throw new TypeError('Invalid signal: ' + signal);
+		this.signal = signal;
+		return this;
+	}
+
+	/**
+	 * Requests the happenings page by page and yields them, newest first.
+	 * Happenings contained in several pages are only yielded once.
+	 * @returns {AsyncGenerator<types.IDHappening>} The happenings
+	 */
+	async *walk() {
+		let before = this.getCarried('beforeid');
+		before = before === null ? null : parseInt(before);
+		for(;;) {
+			let request = this.createRequest();
+			if(before !== null) request.setArgument('beforeid', before);
+			let page = (await request.send()).happenings ?? [];
+
+			// Only happenings older than those yielded so far are new, since
+			// the API returns the most recent happenings first
+			let fresh = page
+				.filter((happening) => before === null || happening.id < before)
+				.sort((a, b) => b.id - a.id);
+			for(let happening of fresh) {
+				checkAborted(this.signal);
+				before = happening.id;
+				yield happening;
+			}
+			if(page.length < pageSize || fresh.length === 0) return;
+		}
+	}
+
+	/**
+	 * Allows iterating over the history via `for await`, equivalent to
+	 * iterating over the return value of {@link HappeningsHistory#walk walk}.
+	 * @returns {AsyncGenerator<types.IDHappening>} The happenings
+	 */
+	[Symbol.asyncIterator]() {
+		return this.walk();
+	}
+
+	/**
+	 * Creates the request for a page of happenings, applying the view,
+	 * filters, and window set.
+	 * @returns {WorldRequest} The request
+	 * @private
+	 */
+	createRequest() {
+		let ret = this.client.world()
+			.shard(WorldShard.HAPPENINGS)
+			.setHappeningsLimit(pageSize)
+			.setSignal(this.signal);
+		for(let key of carried) {
+			let value = this.getCarried(key);
+			if(value !== null) ret.setArgument(key, value);
+		}
+		return ret;
+	}
+
+	/**
+	 * Reads an argument of the template request.
+	 * @arg {string} key Name of the argument
+	 * @returns {?string} Value of the argument; `null` if it isn't set
+	 * @private
+	 */
+	getCarried(key) {
+		let value = this.template.getArgument(key);
+		return value === undefined || value === '' ? null : value;
+	}
+}
+
+exports.HappeningsHistory = HappeningsHistory;
@@ -12,12 +12,84 @@
 const NS = require('./api');
 exports.NS = NS;
 
+const client = require('./client');
+exports.NSClient = client.NSClient;
+
 const reqBase = require('./requests/base');
 exports.NSCredential = reqBase.NSCredential;
 
 const dump = require('./requests/dump');
 exports.DumpMode = dump.DumpMode;
 
+const dumpIndex = require('./requests/dump-index');
+exports.DumpIndex = dumpIndex.DumpIndex;
+
+const transport = require('./requests/transport');
+exports.Transport = transport.Transport;
+exports.HTTPSTransport = transport.HTTPSTransport;
+exports.MockTransport = transport.MockTransport;
+
+const ratelimit = require('./requests/ratelimit');
+exports.RateLimiter = ratelimit.RateLimiter;
+exports.Priority = ratelimit.Priority;
+
+const ratelimitStore = require('./requests/ratelimit-store');
+exports.RateLimitStore = ratelimitStore.RateLimitStore;
+exports.MemoryRateLimitStore = ratelimitStore.MemoryRateLimitStore;
+exports.FileRateLimitStore = ratelimitStore.FileRateLimitStore;
+
+const credentials = require('./requests/credentials');
+exports.CredentialStore = credentials.CredentialStore;
+exports.CredentialStorage = credentials.CredentialStorage;
+exports.MemoryCredentialStorage = credentials.MemoryCredentialStorage;
+exports.EncryptedFileCredentialStorage
+	= credentials.EncryptedFileCredentialStorage;
+
+const retry = require('./requests/retry');
+exports.RetryPolicy = retry.RetryPolicy;
+
+const cache = require('./requests/cache');
+exports.ResponseCache = cache.ResponseCache;
+exports.CacheBackend = cache.CacheBackend;
+exports.MemoryCacheBackend = cache.MemoryCacheBackend;
+exports.FileCacheBackend = cache.FileCacheBackend;
+
+const exporters = require('./export');
+exports.exportNDJSON = exporters.exportNDJSON;
+exports.exportCSV = exporters.exportCSV;
+exports.exportSQLite = exporters.exportSQLite;
+
+const diff = require('./diff');
+exports.DumpDiff = diff.DumpDiff;
+exports.DumpChangeType = diff.DumpChangeType;
+
+const archive = require('./archive');
+exports.DumpArchive = archive.DumpArchive;
+exports.DumpType = archive.DumpType;
+exports.RetentionPolicy = archive.RetentionPolicy;
+
+const happenings = require('./happenings');
+exports.HappeningType = happenings.HappeningType;
+exports.parseHappening = happenings.parseHappening;
+exports.parseHappenings = happenings.parseHappenings;
+
+const feed = require('./feed');
+exports.HappeningsFeed = feed.HappeningsFeed;
+
+const sse = require('./sse');
+exports.HappeningsStream = sse.HappeningsStream;
+
+const history = require('./history');
+exports.HappeningsHistory = history.HappeningsHistory;
+
+/* === Errors === */
+const errors = require('./errors');
+exports.ServerError = errors.ServerError;
+exports.NetworkError = errors.NetworkError;
+exports.CorruptDumpError = errors.CorruptDumpError;
+exports.RequestAbortedError = errors.RequestAbortedError;
+exports.RequestTimeoutError = errors.RequestTimeoutError;
+
 /* === Enums === */
 const enums = require('./enums');
 exports.Admirable = enums.Admirable;
@@ -101,4 +173,3 @@ const reqRegion = require('./requests/region');
 const reqWA = require('./requests/wa');
 const reqWorld = require('./requests/world');
 const factory = require('./factory');
-const error = require('./errors');
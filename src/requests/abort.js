@@ -0,0 +1,190 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+/**
+ * Internal module providing helpers for the cancellation of requests.
+ * @module nationscript/requests/abort
+ */
+
+const { EventEmitter } = require('node:events');
+
+const {
+	NSError,
+	RequestAbortedError,
+	RequestTimeoutError
+} = require('../errors');
+
+/**
+ * Determines the error to reject with because of the given aborted signal.
+ * @arg {AbortSignal} signal The aborted signal
+ * @returns {RequestAbortedError} The signal's reason, if it is one already,
+ *     otherwise a new `RequestAbortedError`
+ * @package
+ */
+function abortError(signal) {
+	return signal.reason instanceof RequestAbortedError
+		? signal.reason
+		: new RequestAbortedError();
+}
+
+/**
+ * Throws the appropriate error if the given signal has been aborted.
+ * @arg {?AbortSignal} signal Signal to check
+ * @throws {RequestAbortedError} if the signal has been aborted
+ * @package
+ */
+function checkAborted(signal) {
+	if(signal?.aborted) throw abortError(signal);
+}
+
+/**
+ * Pauses execution for the specified amount of time if `await`ed. If the
+ * given signal is aborted in the meantime, the pause ends early by rejecting.
+ * @arg {number} period Number of milliseconds to pause
+ * @arg {?AbortSignal} signal Signal to end the pause early
+ * @returns {Promise<void>}
+ * @package
+ */
+async function timeout(period, signal = null) {
+	checkAborted(signal);
+	return new Promise((resolve, reject) => {
+		let onAbort = () => {
+			clearTimeout(timer);
+			reject(abortError(signal));
+		};
+		let timer = setTimeout(() => {
+			signal?.removeEventListener('abort', onAbort);
+			resolve();
+		}, Math.max(0, period));
+		signal?.addEventListener('abort', onAbort, { once: true });
+	});
+}
+
+/**
+ * Stand-in for the `AbortSignal` of Node versions predating it, offering just
+ * as much of it as is used within NationScript.
+ * @ignore
+ */
+class LegacySignal extends EventEmitter {
+	/**
+	 * Whether the signal has been aborted.
+	 * @type {boolean}
+	 */
+	aborted = false;
+
+	/**
+	 * Reason the signal has been aborted with.
+	 * @type {any}
+	 */
+	reason = undefined;
+
+	/**
+	 * @arg {string} type Name of the event to listen to
+	 * @arg {Function} listener Function to call upon the event
+	 * @arg {{once?: boolean}} options Whether to only listen once
+	 */
+	addEventListener(type, listener, options = {}) {
+		if(options.once) this.once(type, listener);
+		else this.on(type, listener);
+	}
+
+	/**
+	 * @arg {string} type Name of the event to stop listening to
+	 * @arg {Function} listener Function to remove
+	 */
+	removeEventListener(type, listener) {
+		this.off(type, listener);
+	}
+}
+
+/**
+ * Stand-in for the `AbortController` of Node versions predating it.
+ * @ignore
+ */
+class LegacyController {
+	/**
+	 * The signal aborted by this controller.
+	 * @type {LegacySignal}
+	 */
+	signal = new LegacySignal();
+
+	/**
+	 * @arg {any} reason Reason to abort with
+	 */
+	abort(reason) {
+		if(this.signal.aborted) return;
+		this.signal.aborted = true;
+		this.signal.reason = reason;
+		this.signal.emit('abort');
+	}
+}
+
+/**
+ * Creates a new `AbortController`, or a stand-in for it on Node versions
+ * that don't provide one.
+ * @returns {AbortController} The controller
+ * @package
+ */
+function createController() {
+	return typeof AbortController === 'function'
+		? new AbortController()
+		: new LegacyController();
+}
+
+/**
+ * A signal combining a user-supplied signal and a time limit, which needs to
+ * be released once the task it guards has completed.
+ * @typedef LinkedSignal
+ * @prop {AbortSignal} signal The combined signal
+ * @prop {Function} release Stops listening to the user-supplied signal and
+ *     the clock
+ * @package
+ */
+
+/**
+ * Creates a signal that is aborted as soon as the given signal is aborted or
+ * the given time limit has passed, whichever comes first.
+ * @arg {?AbortSignal} signal Signal to follow
+ * @arg {?number} limit Time limit in milliseconds; `null` for none
+ * @returns {LinkedSignal} The combined signal
+ * @package
+ */
+function link(signal, limit) {
+	const controller = createController();
+	const abort = (reason) => {
+		if(controller.signal.aborted) return;
+
+		// Older Node versions don't know abort reasons, so ensure it is set
+		controller.abort(reason);
+		if(controller.signal.reason !== reason)
+			Object.defineProperty(controller.signal, 'reason',
+				{ value: reason });
+	};
+
+	const onAbort = () => abort(signal?.reason instanceof NSError
+		? signal.reason
+		: new RequestAbortedError());
+	if(signal?.aborted) onAbort();
+	else signal?.addEventListener('abort', onAbort, { once: true });
+
+	const timer = typeof limit === 'number'
+		? setTimeout(() => abort(new RequestTimeoutError(limit)), limit)
+		: null;
+
+	return {
+		signal: controller.signal,
+		release: () => {
+			if(timer) clearTimeout(timer);
+			signal?.removeEventListener('abort', onAbort);
+		}
+	};
+}
+
+exports.abortError = abortError;
+exports.checkAborted = checkAborted;
+exports.timeout = timeout;
+exports.createController = createController;
+exports.link = link;
@@ -9,9 +9,8 @@
  * @module nationscript/requests/base
  */
 
-const { Stream } = require('node:stream');
+const { Stream, Readable } = require('node:stream');
 const http = require('node:http');
-const https = require('node:https');
 
 const Parser = require('node-xml-stream-parser');
 
@@ -21,9 +20,16 @@ const {
 	EntityNotFoundError,
 	RecentLoginError,
 	RatelimitError,
+	ServerError,
+	NetworkError,
 	DumpNotModifiedError
 } = require('../errors');
-const ratelimit = require('./ratelimit');
+const {
+	abortError,
+	timeout,
+	link
+} = require('./abort');
+const { Priority } = require('./ratelimit');
 const factory = require('../factory');
 
 /**
@@ -35,9 +41,10 @@ const factory = require('../factory');
 /**
  * The mother of superclasses, inherited by all specialised request classes.
  * 
- * Holds static properties configurable by the user to en/disable the built-in
- * rate-limiter of NationScript and, most importantly, set the user agent for
- * identifying the user to NS admins.
+ * Each request is bound to the {@link NSClient} that created it via
+ * {@link NSRequest#useClient useClient}, from which it takes the user agent
+ * identifying the user to NS admins, whether to use the built-in rate-limiter,
+ * and the rate-limiter itself.
  * 
  * The {@link NSRequest#raw raw} function is invoked by every single execution
  * of a request subclass, returning the API's raw response in the form of an
@@ -50,22 +57,40 @@ const factory = require('../factory');
  */
 class NSRequest {
 
-	/* === General Customisation - Called From api.js Only === */
+	/* === General Customisation === */
 
 	/**
-	 * The text that sent as the `User-Agent` header in requests to the NS API.
-	 * @type {?string}
-	 * @package
+	 * The client whose configuration this request is executed with.
+	 * @type {?import('../client').NSClient}
+	 * @protected
 	 */
-	static useragent = null;
+	client = null;
 
 	/**
-	 * Whether to use the in-built rate-limiter for requests to the NS API.
-	 * @type {boolean}
-	 * @default true
+	 * Binds this request to the given client, so that it is executed with the
+	 * user agent, rate-limiter, and other settings configured on that client.
+	 * @arg {import('../client').NSClient} client Client to use
+	 * @returns {this} The request, for chaining
 	 * @package
 	 */
-	static useRateLimit = true;
+	useClient(client) {
+		if(typeof client !== 'object' || client === null)
+			throw new TypeError('Invalid client: ' + client);
+		this.client = client;
+		return this;
+	}
+
+	/**
+	 * Gets the client this request is bound to.
+	 * @returns {import('../client').NSClient} The client; the
+	 *     {@link NSClient.default default client} if the request has not been
+	 *     bound to any
+	 * @protected
+	 */
+	getClient() {
+		// Required only here, since the client module requires this one
+		return this.client ?? require('../client').NSClient.default;
+	}
 
 
 	/* === Request preparation === */
@@ -144,11 +169,92 @@ class NSRequest {
 		return args.join('&');
 	}
 
+	/* === Cancellation === */
+
+	/**
+	 * Signal via which the execution of this request can be aborted.
+	 * @type {?AbortSignal}
+	 * @private
+	 */
+	signal = null;
+
+	/**
+	 * Registers a signal via which the execution of this request can be
+	 * aborted. Upon abortion, a request waiting for the rate-limiter leaves
+	 * the queue without using up any of the rate-limit, a request in transit
+	 * has its connection destroyed, and the execution is rejected with a
+	 * {@link RequestAbortedError}.
+	 * @arg {?AbortSignal} signal Signal to use; `null` to remove it
+	 * @returns {this} The request, for chaining
+	 */
+	setSignal(signal) {
+		if(signal !== null && typeof signal?.addEventListener !== 'function')
+			throw new TypeError('Invalid signal: ' + signal);
+		this.signal = signal;
+		return this;
+	}
+
+	/**
+	 * Number of milliseconds the execution of this request may take at most.
+	 * @type {?number}
+	 * @private
+	 */
+	timeLimit = null;
+
+	/**
+	 * Registers a time limit for the execution of this request, including any
+	 * wait for the rate-limiter and the parsing of the response. If the limit
+	 * is exceeded, the request is aborted just as via
+	 * {@link NSRequest#setSignal setSignal}, but is rejected with a
+	 * {@link RequestTimeoutError}.
+	 * @arg {?number} limit Number of milliseconds; `null` to remove the limit
+	 * @returns {this} The request, for chaining
+	 */
+	setTimeout(limit) {
+		if(limit !== null && (typeof limit !== 'number' || limit < 0))
+			throw new TypeError('Invalid time limit: ' + limit);
+		this.timeLimit = limit;
+		return this;
+	}
+
+	/**
+	 * Signal combining the {@link NSRequest#signal signal} and the
+	 * {@link NSRequest#timeLimit timeLimit} for the execution in progress.
+	 * @type {?AbortSignal}
+	 * @private
+	 */
+	activeSignal = null;
+
+	/**
+	 * Runs the given task as part of the execution of this request, passing
+	 * it the signal by which the execution is aborted. Nested calls share the
+	 * signal of the outermost one, so the time limit applies to the execution
+	 * as a whole.
+	 * @template T
+	 * @arg {function(?AbortSignal): Promise<T>} task Task to run
+	 * @returns {Promise<T>} The result of the task
+	 * @protected
+	 */
+	async guard(task) {
+		if(this.activeSignal) return await task(this.activeSignal);
+		if(!this.signal && this.timeLimit === null) return await task(null);
+
+		const linked = link(this.signal, this.timeLimit);
+		this.activeSignal = linked.signal;
+		try {
+			return await task(linked.signal);
+		} finally {
+			linked.release();
+			this.activeSignal = null;
+		}
+	}
+
+
 	/* === Request Execution === */
 
 	/**
-	 * Compiles the defined {@link NSRequest#body body}, 
-	 * {@link NSRequest.useragent useragent} and other
+	 * Compiles the defined {@link NSRequest#body body}, the user agent of the
+	 * {@link NSRequest#client client}, and other
 	 * {@link NSRequest#headers headers}, and
 	 * {@link NSRequest#targetURL targetURL} into a single object for use in
 	 * the {@link NSRequest#executeHTTP executeHTTP} function.
@@ -167,7 +273,7 @@ class NSRequest {
 
 			// Guarantee that the User-Agent header is not overwritten
 			headers: Object.assign(this.headers, {
-				'User-Agent': NSRequest.useragent
+				'User-Agent': this.getClient().useragent
 			})
 		}
 		return {
@@ -178,22 +284,15 @@ class NSRequest {
 	}
 
 	/**
-	 * Makes an HTTP request containing the given `data`.
+	 * Hands the given `data` to the transport of the
+	 * {@link NSRequest#client client} for delivery.
 	 * @arg {NSRequestData} data Information to send with the request
+	 * @arg {?AbortSignal} signal Signal to abort the delivery with
 	 * @returns {Promise<http.IncomingMessage>} The response
 	 * @private
 	 */
-	async executeHTTP(data) {
-		return new Promise((resolve, reject) => {
-			let request = https
-				.request(this.targetURL,
-					data.options,
-					response => resolve(response))
-				.once('error', e => reject(e));
-			if(data.body && data.options.method === 'POST')
-				request.write(data.body);
-			request.end();
-		});
+	async executeHTTP(data, signal = null) {
+		return await this.getClient().transport.execute(data, signal);
 	}
 
 	/**
@@ -207,7 +306,7 @@ class NSRequest {
 			case 304:
 				throw new DumpNotModifiedError();
 			case 403:
-				throw new APIError('403 ' + response.statusMessage);
+				throw new APIError('403 ' + response.statusMessage, 403);
 			case 409:
 				throw new RecentLoginError();
 			case 404:
@@ -216,32 +315,108 @@ class NSRequest {
 				throw new RatelimitError(response.headers['retry-after']);
 			default:
 				if(!response.statusCode) return;
+				if(response.statusCode >= 500)
+					throw new ServerError(response.statusCode,
+						response.statusMessage);
 				if(response.statusCode < 200 || response.statusCode >= 300)
 					throw new APIError(response.statusCode
-						+ ' ' + response.statusMessage);
+						+ ' ' + response.statusMessage, response.statusCode);
 				return;
 		}
 	}
 
 	/**
-	 * Checks whether the {@link NSRequest.useragent useragent} is set, then
-	 * calls the {@link NSRequest#executeHTTP executeHTTP} function and returns
-	 * its response. If {@link NSRequest.useRateLimit useRateLimit} is `true`,
-	 * the request is ensured to respect the API's rate-limit.
+	 * {@link Priority} lane in which this request waits for the rate-limiter.
+	 * @type {number}
+	 * @default Priority.NORMAL
+	 * @protected
+	 */
+	priority = Priority.NORMAL;
+
+	/**
+	 * Configure the {@link Priority} lane in which this request waits for the
+	 * rate-limiter, should other requests be waiting as well.
+	 * @arg {number} priority Priority to use
+	 * @returns {this} The request, for chaining
+	 */
+	setPriority(priority) {
+		if(!Object.values(Priority).includes(priority))
+			throw new TypeError('Invalid priority: ' + priority);
+		this.priority = priority;
+		return this;
+	}
+
+	/**
+	 * Whether this request may be automatically retried according to the
+	 * client's {@link RetryPolicy} if it fails. Must be `false` whenever
+	 * executing the request twice could have a different effect than
+	 * executing it once.
+	 * @type {boolean}
+	 * @default true
+	 * @protected
+	 */
+	retryable = true;
+
+	/**
+	 * Checks whether the {@link NSRequest#client client} has a user agent set,
+	 * then calls the {@link NSRequest#executeHTTP executeHTTP} function and
+	 * returns its response. If the client is configured to use the built-in
+	 * rate-limiter, the request is ensured to respect the API's rate-limit.
+	 * 
+	 * Should the request fail, it is attempted again as the client's
+	 * {@link RetryPolicy} demands, as long as it is
+	 * {@link NSRequest#retryable retryable}.
 	 * @returns {Promise<http.IncomingMessage>} The raw response to the request
 	 */
 	async raw() {
-		if(NSRequest.useragent == null) throw new NSError('Missing UserAgent');
+		const client = this.getClient();
+		if(client.useragent == null) throw new NSError('Missing UserAgent');
+
+		return await this.guard(async (signal) => {
+			const policy = this.retryable ? client.retryPolicy : null;
+			for(let attempt = 1; ; attempt++) {
+				try {
+					return await this.attempt(client, signal);
+				} catch(e) {
+					// Make the rate-limiter hold back requests as long as
+					// stated by the API
+					if(e instanceof RatelimitError)
+						await client.rateLimiter.lockout(e.retry);
+
+					if(!policy?.shouldRetry(e, attempt)) throw e;
+					await timeout(policy.getDelay(e, attempt), signal);
+				}
+			}
+		});
+	}
 
-		if(NSRequest.useRateLimit) await ratelimit.enforce();
-		const response = await this.executeHTTP(this.createRequestData())
+	/**
+	 * Makes a single attempt at executing this request, respecting the
+	 * rate-limit if the given client is configured to use the built-in
+	 * rate-limiter.
+	 * @arg {import('../client').NSClient} client Client to execute with
+	 * @arg {?AbortSignal} signal Signal to abort the attempt with
+	 * @returns {Promise<http.IncomingMessage>} The raw response to the request
+	 * @private
+	 */
+	async attempt(client, signal) {
+		if(client.useRateLimit)
+			await client.rateLimiter.enforce(signal, this.priority);
+		const response = await this
+			.executeHTTP(this.createRequestData(), signal)
 			.catch((reason) => {
-				throw new APIError(reason);
+				throw reason instanceof NSError
+					? reason
+					: new NetworkError(reason);
 			});
-		ratelimit.update(response.headers);
-
-		this.evaluateErrors(response);
+		await client.rateLimiter.update(response.headers);
 
+		try {
+			this.evaluateErrors(response);
+		} catch(e) {
+			response.resume();	// Discard the body to free the connection
+			throw e;
+		}
 		return response;
 	}
 
@@ -296,36 +471,54 @@ class NSRequest {
 	 * @returns {Promise<?any>} The chosen factory's finished `product`
 	 */
 	async send() {
-		let res = await this.getStream();
-		if(!res) throw new NSError('Could not obtain XML stream');
-		return new Promise((resolve, reject) => {
-			/**
-			 * @type {?factory.NSFactory}
-			 * @ignore
-			 */
-			let factory = null;
-			let parser = new Parser();
-
-			// Just pass the received events to the factory for handling
-			parser.on('opentag', (name, attrs) => {
-				// At the first tag received, the defined factory is created
-				if(!factory) {
-					factory = this.factoryConfigurer?.(attrs)
-						?? matchFactory(name, attrs);
-					if(!factory)
-						throw new NSError('No factory matching tag: ' + name);
-				}
-				else factory.handleOpen(name, attrs);
+		return await this.guard(async (signal) => {
+			let res = await this.getStream();
+			if(!res) throw new NSError('Could not obtain XML stream');
+			return await new Promise((resolve, reject) => {
+				/**
+				 * @type {?factory.NSFactory}
+				 * @ignore
+				 */
+				let factory = null;
+				let parser = new Parser();
+
+				// Just pass the received events to the factory for handling
+				parser.on('opentag', (name, attrs) => {
+					// At the first tag received, the defined factory is created
+					if(!factory) {
+						factory = this.factoryConfigurer?.(attrs)
+							?? matchFactory(name, attrs);
+						if(!factory) throw new NSError(
+							'No factory matching tag: ' + name);
+					}
+					else factory.handleOpen(name, attrs);
+				});
+				parser.on('closetag', (name) => factory?.handleClose(name));
+				parser.on('text', (text) => factory?.handleText(text));
+				parser.on('cdata', (cdata) => factory?.handleCData(cdata));
+
+				// If aborted, stop receiving data and give up on the result
+				let onAbort = () => {
+					res.unpipe(parser);
+					res.destroy();
+					reject(abortError(signal));
+				};
+				signal?.addEventListener('abort', onAbort, { once: true });
+
+				// If an error is encountered, fail; if the stream ends, succeed
+				let onError = (err) => {
+					signal?.removeEventListener('abort', onAbort);
+					reject(err);
+				};
+				parser.on('error', onError);
+				res.on('error', onError);
+				parser.on('finish', () => {
+					signal?.removeEventListener('abort', onAbort);
+					resolve(factory?.deliver() ?? null);
+				});
+
+				res.pipe(parser);
 			});
-			parser.on('closetag', (name) => factory?.handleClose(name));
-			parser.on('text', (text) => factory?.handleText(text));
-			parser.on('cdata', (cdata) => factory?.handleCData(cdata));	
-
-			// If an error is encountered, fail; if the stream ends, succeed
-			parser.on('error', (err) => reject(err));
-			parser.on('finish', () => resolve(factory?.deliver() ?? null));
-
-			res.pipe(parser);
 		});
 	}
 }
@@ -345,21 +538,12 @@ class NSRequest {
  * be declared mandatory, and NationScript will not execute requests that do
  * not have values for the mandatory arguments in their `body`.
  * 
- * Lastly, it holds the user-configurable {@link DataRequest.version version}
- * property, which is used to request API responses in specific versions of the
- * NS API to ensure compatibility with the hard-coded types.
+ * Lastly, it requests API responses in the API version configured on its
+ * {@link NSRequest#client client}, to ensure compatibility with the
+ * hard-coded types.
  */
 class DataRequest extends NSRequest {
 
-	/**
-	 * Defines the version of the NS API to request all data in. If `null`,
-	 * requests are made to the most recent version of the API automatically.
-	 * @type {?number}
-	 * @default
-	 * @package
-	 */
-	static version = 12;
-
 	/* === Interna === */
 
 	/**
@@ -371,18 +555,27 @@ class DataRequest extends NSRequest {
 
 	/**
 	 * Instantiates a new `DataRequest`, defining the `Content-Type` in the
-	 * {@link NSRequest#headers headers} and setting the
-	 * {@link DataRequest.version version}, if required.
+	 * {@link NSRequest#headers headers}.
 	 * @package
 	 */
 	constructor() {
 		super();
-		if(DataRequest.version)
-			this.setArgument('v', DataRequest.version);
 		this.setHeader('Content-Type', 'application/x-www-form-urlencoded; '
 			+ 'charset=utf-8');
 	}
 
+	/**
+	 * Additionally sets the API version to request the data in, if the client
+	 * demands a specific one.
+	 * @inheritdoc
+	 */
+	useClient(client) {
+		super.useClient(client);
+		if(client.version) this.setArgument('v', client.version);
+		else this.removeArgument('v');
+		return this;
+	}
+
 
 	/* === Request Data Manipulation === */
 
@@ -468,6 +661,73 @@ class DataRequest extends NSRequest {
 			throw new Error('Request misses mandatory argument: ' + arg);
 		return await super.raw();
 	}
+
+
+	/* === De-Duplication === */
+
+	/**
+	 * Whether this request may share its execution with identical requests
+	 * executed at the same time via the same client. Must be `false` whenever
+	 * executing the request has any effect beyond fetching data.
+	 * @type {boolean}
+	 * @default true
+	 * @protected
+	 */
+	coalescible = true;
+
+	/**
+	 * Creates a key identifying the data requested, consisting of the target
+	 * URL and all arguments in alphabetical order.
+	 * @returns {string} The key
+	 * @protected
+	 */
+	getRequestKey() {
+		let args = this.getArguments().sort()
+			.map((key) => `${key}=${this.getArgument(key)}`);
+		return this.targetURL + '?' + args.join('&');
+	}
+
+	/**
+	 * Runs the given task, which executes this request, unless an identical
+	 * request - with the same target URL, arguments, and login credentials -
+	 * is already being executed via the same client. In that case, the
+	 * result of that execution is awaited instead. Each caller receives its
+	 * own copy of the result, so that changing it doesn't affect the others.
+	 * 
+	 * Requests that can be aborted via a signal or time limit are always
+	 * executed on their own, since their abortion must not affect others.
+	 * @template T
+	 * @arg {function(): Promise<T>} task Task executing this request
+	 * @returns {Promise<T>} The result of the task
+	 * @protected
+	 */
+	async coalesce(task) {
+		if(!this.coalescible || this.signal || this.timeLimit !== null)
+			return await task();
+
+		const pending = this.getClient().pending;
+		const key = [ this.getRequestKey() ]
+			.concat(['X-Password', 'X-Autologin', 'X-Pin']
+				.map((name) => this.headers[name] ?? ''))
+			.join('\n');
+		let shared = pending.get(key);
+		if(!shared) {
+			shared = task();
+			pending.set(key, shared);
+			let done = () => pending.delete(key);
+			shared.then(done, done);
+		}
+		return deepCopy(await shared);
+	}
+
+	/**
+	 * Executes this request, sharing the execution with identical requests
+	 * as described for {@link DataRequest#coalesce coalesce}.
+	 * @inheritdoc
+	 */
+	async send() {
+		return await this.coalesce(() => super.send());
+	}
 }
 
 /**
@@ -526,6 +786,315 @@ class ShardableRequest extends DataRequest {
 		let remain = this.getShards().filter((s) => !shards.includes(s));
 		return this.clearShards().shard(...remain);
 	}
+
+
+	/* === Caching === */
+
+	/**
+	 * Name of the API endpoint addressed by this request, by which the TTLs
+	 * of a {@link ResponseCache} can be told apart for shards of the same
+	 * name on different endpoints.
+	 * @type {string}
+	 * @protected
+	 */
+	endpoint = 'world';
+
+	/**
+	 * Whether to skip looking up this request in the client's
+	 * {@link ResponseCache}.
+	 * @type {boolean}
+	 * @private
+	 */
+	cacheBypassed = false;
+
+	/**
+	 * Makes this request fetch a fresh response from the API even if the
+	 * client's {@link ResponseCache} holds one. The fresh response is still
+	 * stored in the cache for subsequent requests.
+	 * @returns {this} The request, for chaining
+	 */
+	bypassCache() {
+		this.cacheBypassed = true;
+		return this;
+	}
+
+	/**
+	 * Checks whether responses to this request may be cached, which is not
+	 * the case for requests for private data or executing actions.
+	 * @returns {boolean} `true` if the response may be cached
+	 * @protected
+	 */
+	isCacheable() {
+		return this.getArgument('a') === undefined
+			&& !['X-Password', 'X-Autologin', 'X-Pin']
+				.some((name) => name in this.headers);
+	}
+
+	/**
+	 * If the client has a {@link ResponseCache}, returns the response stored
+	 * there for this request, unless it was told to
+	 * {@link ShardableRequest#bypassCache bypassCache}. Otherwise, the
+	 * response is fetched from the API and then stored in the cache. Cache
+	 * hits don't pass through the rate-limiter.
+	 *
+	 * If the client has a {@link NSClient#batchWindow batchWindow}, the
+	 * response may be shared with other requests as described for
+	 * {@link ShardableRequest#batch batch}.
+	 * @inheritdoc
+	 */
+	async getStream() {
+		if(!this.isBatchable()) return await this.getCachedStream();
+		let body = await this.batch(async () => await streamToString(
+			await this.getCachedStream(), this.activeSignal));
+		return Readable.from([ Buffer.from(body) ]);
+	}
+
+	/**
+	 * Gets the response to this request from the client's
+	 * {@link ResponseCache} or the API, as described for
+	 * {@link ShardableRequest#getStream getStream}.
+	 * @returns {Promise<Stream>} Stream with the XML data
+	 * @private
+	 */
+	async getCachedStream() {
+		const cache = this.getClient().cache;
+		if(!cache || !this.isCacheable()) return await super.getStream();
+
+		const key = this.getRequestKey();
+		let body = this.cacheBypassed ? null : await cache.get(key);
+		if(body === null) {
+			body = await streamToString(await super.getStream(),
+				this.activeSignal);
+			await cache.set(key, body,
+				cache.getTTL(this.endpoint, this.getShards()));
+		}
+		return Readable.from([ Buffer.from(body) ]);
+	}
+
+
+	/* === Batching === */
+
+	/**
+	 * Whether this request may be merged with other requests for the same
+	 * entity, if the client has a {@link NSClient#batchWindow batchWindow}.
+	 * @type {boolean}
+	 * @default false
+	 * @protected
+	 */
+	batchable = false;
+
+	/**
+	 * Checks whether this request may be merged with others as described for
+	 * {@link ShardableRequest#batch batch}. Requests for private data or that
+	 * can be aborted via a signal or time limit are never merged.
+	 * @returns {boolean} `true` if the request may be merged
+	 * @private
+	 */
+	isBatchable() {
+		return this.batchable && this.getClient().batchWindow > 0
+			&& this.isCacheable() && !this.signal && this.timeLimit === null;
+	}
+
+	/**
+	 * Runs the given task, which fetches the response to this request,
+	 * together with any other requests for the same entity that are executed
+	 * via the same client within its {@link NSClient#batchWindow
+	 * batchWindow}: their shards, as well as any `scale` and `mode`
+	 * arguments, are merged into a single request to the API. The response
+	 * is then split back up, so that each caller only receives the shards,
+	 * census scales, and census modes it requested itself.
+	 * 
+	 * Only requests with identical other arguments are merged, so requests
+	 * with, for example, differing `from` and `to` arguments remain separate.
+	 * @arg {function(): Promise<string>} task Task fetching the response
+	 * @returns {Promise<string>} The XML data of the response, reduced to
+	 *     what this request asked for
+	 * @private
+	 */
+	async batch(task) {
+		const client = this.getClient();
+
+		// Merge only with requests having all arguments apart from the shards
+		// and mergeable ones in common, and the latter set or not alike
+		const key = this.targetURL + '?' + this.getArguments().sort()
+			.map((arg) => arg === 'q' || mergeable.includes(arg)
+				? arg
+				: `${arg}=${this.getArgument(arg)}`)
+			.join('&');
+
+		let batch = client.batches.get(key);
+		if(!batch) {
+			batch = { members: [], result: null };
+			client.batches.set(key, batch);
+			batch.result = timeout(client.batchWindow).then(() => {
+				client.batches.delete(key);
+				return this.executeBatch(batch.members, task);
+			});
+		}
+		batch.members.push(this);
+		let { body, shards } = await batch.result;
+		return trimResponse(body, shards, this);
+	}
+
+	/**
+	 * Runs the given task, which fetches the response to this request, with
+	 * the shards and mergeable arguments of all the given requests.
+	 * Afterwards, the original arguments of this request are restored.
+	 * @arg {ShardableRequest[]} members Requests to merge into this one
+	 * @arg {function(): Promise<string>} task Task fetching the response
+	 * @returns {Promise<{body: string, shards: string[]}>} The XML data of
+	 *     the response, and the shards it contains
+	 * @private
+	 */
+	async executeBatch(members, task) {
+		const original = Object.assign({}, this.body);
+		for(let arg of [ 'q', ...mergeable ]) {
+			if(this.getArgument(arg) === undefined) continue;
+			let values = new Set(members.flatMap((member) =>
+				member.getArgument(arg).split('+')));
+			if(values.has('all')) this.setArgument(arg, 'all');
+			else this.setArgument(arg, ...values);
+		}
+		try {
+			return {
+				body: await task(),
+				shards: this.getShards()
+			};
+		} finally {
+			this.body = original;
+		}
+	}
+}
+
+/**
+ * Names of the arguments whose values are merged when batching requests.
+ * @type {string[]}
+ * @ignore
+ */
+const mergeable = [ 'scale', 'mode' ];
+
+/**
+ * Tags in which the API returns the shards whose tag isn't simply their name
+ * in upper case, per endpoint.
+ * @type {Object.<string, Object.<string, string>>}
+ * @ignore
+ */
+const shardTags = {
+	nation: {
+		customcapital: 'CAPITAL',
+		customleader: 'LEADER',
+		customreligion: 'RELIGION',
+		answered: 'ISSUES_ANSWERED',
+		wa: 'UNSTATUS'
+	},
+	region: {
+		banlist: 'BANNED',
+		numwanations: 'NUMUNNATIONS',
+		wanations: 'UNNATIONS'
+	},
+	world: {
+		banner: 'BANNERS',
+		regionsbytag: 'REGIONS'
+	}
+};
+
+/**
+ * Names of the census modes that are returned as individual tags per scale.
+ * @type {string[]}
+ * @ignore
+ */
+const censusModes = [ 'score', 'rank', 'rrank', 'prank', 'prrank' ];
+
+/**
+ * Removes from the XML data of a merged response everything that the given
+ * request, one of those merged, did not ask for: the tags of other requests'
+ * shards, and the census scales and modes only they asked for. Tags that
+ * can't be attributed to any of the merged shards are kept.
+ * @arg {string} xml XML data of the merged response
+ * @arg {string[]} merged Shards of the merged request
+ * @arg {ShardableRequest} request Request to trim the response for
+ * @returns {string} The trimmed XML data
+ * @ignore
+ */
+function trimResponse(xml, merged, request) {
+	const tags = shardTags[request.endpoint] ?? {};
+	const own = request.getShards();
+	const scales = request.getArgument('scale')?.split('+');
+	const modes = request.getArgument('mode')?.split('+');
+
+	// Shards of the same tag - like the capital and the custom capital - are
+	// returned in the order in which they are listed in the factories
+	/** @type {Map<string, string[]>} */
+	const producers = new Map();
+	for(let shard of merged) {
+		let tag = tags[shard] ?? shard.toUpperCase();
+		producers.set(tag, [ ...producers.get(tag) ?? [], shard ]
+			.sort((a, b) => (a in tags) - (b in tags)));
+	}
+
+	/** @type {Map<string, number>} */
+	const seen = new Map();
+	return filterElements(xml, (path, attrs) => {
+		if(path.length === 2) {
+			let index = seen.get(path[1]) ?? 0;
+			seen.set(path[1], index + 1);
+			let shard = producers.get(path[1])?.[index];
+			return shard === undefined || own.includes(shard);
+		}
+		if(path[1] !== 'CENSUS') return true;
+		if(path.length === 3 && scales && !scales.includes('all'))
+			return scales.includes(attrs['id']);
+		if(path.length === 4 && modes && !modes.includes('history')) {
+			let mode = path[3].toLowerCase();
+			return !censusModes.includes(mode) || modes.includes(mode);
+		}
+		return true;
+	});
+}
+
+/**
+ * Removes the elements rejected by the given function from the given XML
+ * data, along with all their content.
+ * @arg {string} xml XML data to filter
+ * @arg {(path: string[], attrs: Object.<string, string>) => boolean} keep
+ *     Function deciding for each element, given the names of it and its
+ *     ancestors as well as its attributes, whether to keep it
+ * @returns {string} The filtered XML data
+ * @ignore
+ */
+function filterElements(xml, keep) {
+	const pattern = new RegExp([
+		'<!\\[CDATA\\[[\\s\\S]*?\\]\\]>',	// Skip CDATA sections,
+		'<!--[\\s\\S]*?-->',				// comments,
+		'<[?!][^>]*>',					// and declarations
+		'<(/?)([^\\s/>]+)((?:[^>"]|"[^"]*")*?)(/?)>'
+	].join('|'), 'g');
+	let ret = '';
+	let copied = 0;
+	let path = [];
+	let dropped = -1;	// Depth of the element being removed, if any
+	for(let match of xml.matchAll(pattern)) {
+		let [ whole, closing, name, attrs, empty ] = match;
+		if(name === undefined) continue;
+		let end = match.index + whole.length;
+		if(!closing) {
+			path.push(name);
+			let parsed = Object.fromEntries([ ...attrs.matchAll(
+				/([^\s=]+)="([^"]*)"/g) ].map((m) => m.slice(1)));
+			if(dropped < 0 && !keep(path, parsed)) {
+				ret += xml.substring(copied, match.index);
+				dropped = path.length;
+			}
+		}
+		if(closing || empty) {
+			if(dropped === path.length) {
+				copied = end;
+				dropped = -1;
+			}
+			path.pop();
+		}
+	}
+	return ret + xml.substring(copied);
 }
 
 /**
@@ -592,6 +1161,51 @@ class NSCredential {
 	}
 }
 
+/**
+ * Reads the given streamed response, recording its contents as text and
+ * returning it once the stream ends. If the given signal is aborted before
+ * then, the stream is destroyed.
+ * @arg {http.IncomingMessage} stream API response to parse
+ * @arg {?AbortSignal} signal Signal to abort reading with
+ * @returns {Promise<string>} Text data received from the stream
+ * @see https://stackoverflow.com/questions/10623798
+ */
+function streamToString(stream, signal = null) {
+	let ret = [];
+	return new Promise((resolve, reject) => {
+		let onAbort = () => {
+			stream.destroy();
+			reject(abortError(signal));
+		};
+		signal?.addEventListener('abort', onAbort, { once: true });
+
+		stream.on('data', (data) => ret.push(Buffer.from(data)));
+		stream.on('error', (e) => reject(e));
+		stream.on('end', () => {
+			signal?.removeEventListener('abort', onAbort);
+			resolve(Buffer.concat(ret).toString('utf-8'));
+		});
+	});
+}
+
+/**
+ * Copies the given result of a request, along with all objects and arrays
+ * within it, so that changing the copy doesn't affect the original.
+ * @template T
+ * @arg {T} value Value to copy
+ * @returns {T} The copy
+ * @ignore
+ */
+function deepCopy(value) {
+	if(Array.isArray(value)) return value.map(deepCopy);
+	if(value instanceof Date) return new Date(value.getTime());
+	if(value === null || typeof value !== 'object') return value;
+
+	let ret = Object.create(Object.getPrototypeOf(value));
+	for(let key of Object.keys(value)) ret[key] = deepCopy(value[key]);
+	return ret;
+}
+
 const Nation = require('../type/nation');
 const Region = require('../type/region');
 const Card = require('../type/card');
@@ -649,3 +1263,4 @@ exports.ShardableRequest = ShardableRequest;
 exports.NSCredential = NSCredential;
 exports.toIDForm = toIDForm;
 exports.listToIDForm = listToIDForm;
+exports.streamToString = streamToString;
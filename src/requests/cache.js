@@ -0,0 +1,309 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+/**
+ * Provides the cache in which responses of the API can be kept for re-use.
+ * @module nationscript/requests/cache
+ */
+
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const { VirtualError } = require('../errors');
+
+/**
+ * Superclass for all cache backends. A backend stores response bodies under
+ * a key until they expire.
+ */
+class CacheBackend {
+	/**
+	 * Looks up the response body stored under the given key.
+	 * @arg {string} key Key to look up
+	 * @returns {Promise<?string>} The stored body; `null` if none is stored
+	 *     or it has expired
+	 * @virtual
+	 */
+	async get(key) {
+		throw new VirtualError(this.get, this.constructor);
+	}
+
+	/**
+	 * Stores the given response body under the given key.
+	 * @arg {string} key Key to store the body under
+	 * @arg {string} body Response body to store
+	 * @arg {number} ttl Number of milliseconds after which the body expires
+	 * @returns {Promise<void>}
+	 * @virtual
+	 */
+	async set(key, body, ttl) {
+		throw new VirtualError(this.set, this.constructor);
+	}
+
+	/**
+	 * Removes all stored response bodies.
+	 * @returns {Promise<void>}
+	 * @virtual
+	 */
+	async clear() {
+		throw new VirtualError(this.clear, this.constructor);
+	}
+}
+
+/**
+ * The default backend, keeping response bodies in memory. Once it holds the
+ * maximum number of entries, the least recently used one is dropped for each
+ * new one.
+ */
+class MemoryCacheBackend extends CacheBackend {
+	/**
+	 * Stored entries, in order from least to most recently used.
+	 * @type {Map<string, {body: string, expires: number}>}
+	 * @private
+	 */
+	entries = new Map();
+
+	/**
+	 * Maximum number of entries to hold.
+	 * @type {number}
+	 * @private
+	 */
+	size;
+
+	/**
+	 * @arg {number} size Maximum number of entries to hold; defaults to `500`
+	 */
+	constructor(size = 500) {
+		super();
+		if(typeof size !== 'number' || size < 1)
+			throw new TypeError('Invalid cache size: ' + size);
+		this.size = size;
+	}
+
+	/** @inheritdoc */
+	async get(key) {
+		let entry = this.entries.get(key);
+		if(!entry) return null;
+		this.entries.delete(key);
+		if(entry.expires <= Date.now()) return null;
+
+		// Re-insert the entry to mark it as the most recently used one
+		this.entries.set(key, entry);
+		return entry.body;
+	}
+
+	/** @inheritdoc */
+	async set(key, body, ttl) {
+		this.entries.delete(key);
+		this.entries.set(key, { body, expires: Date.now() + ttl });
+		for(let oldest of this.entries.keys()) {
+			if(this.entries.size <= this.size) break;
+			this.entries.delete(oldest);
+		}
+	}
+
+	/** @inheritdoc */
+	async clear() {
+		this.entries.clear();
+	}
+}
+
+/**
+ * A backend keeping response bodies in JSON files within a directory, so that
+ * they survive restarts of the process. Each entry is kept in its own file,
+ * named after a hash of its key, and replaced atomically when updated.
+ */
+class FileCacheBackend extends CacheBackend {
+	/**
+	 * Path to the directory containing the cache files.
+	 * @type {string}
+	 * @private
+	 */
+	directory;
+
+	/**
+	 * @arg {string} directory Path to the directory to keep the cache files
+	 *     in; created if it doesn't exist yet
+	 */
+	constructor(directory) {
+		super();
+		if(typeof directory !== 'string')
+			throw new TypeError('Invalid path: ' + directory);
+		this.directory = path.resolve(directory);
+	}
+
+	/**
+	 * Determines the path of the file containing the entry for the given key.
+	 * @arg {string} key Key of the entry
+	 * @returns {string} Path to the file
+	 * @private
+	 */
+	getFilePath(key) {
+		let hash = crypto.createHash('sha1').update(key).digest('hex');
+		return path.join(this.directory, hash + '.json');
+	}
+
+	/** @inheritdoc */
+	async get(key) {
+		let file = this.getFilePath(key);
+		let entry;
+		try {
+			entry = JSON.parse(await fs.promises.readFile(file, 'utf-8'));
+		} catch(e) {
+			// Missing and corrupt files alike simply aren't cache hits
+			return null;
+		}
+		if(entry.key !== key) return null;
+		if(entry.expires <= Date.now()) {
+			await fs.promises.rm(file, { force: true });
+			return null;
+		}
+		return entry.body;
+	}
+
+	/** @inheritdoc */
+	async set(key, body, ttl) {
+		let file = this.getFilePath(key);
+		let temp = `${file}.${process.pid}.tmp`;
+		await fs.promises.mkdir(this.directory, { recursive: true });
+		await fs.promises.writeFile(temp, JSON.stringify({
+			key,
+			expires: Date.now() + ttl,
+			body
+		}));
+		await fs.promises.rename(temp, file);
+	}
+
+	/** @inheritdoc */
+	async clear() {
+		if(!fs.existsSync(this.directory)) return;
+		for(let name of await fs.promises.readdir(this.directory))
+			if(name.endsWith('.json')) await fs.promises
+				.rm(path.join(this.directory, name), { force: true });
+	}
+}
+
+/**
+ * A cache for responses of the API, so that requests for the same data made
+ * in quick succession don't use up the rate-limit. Responses are stored in a
+ * {@link CacheBackend} and expire after a time depending on the shards that
+ * were requested: each shard can be given its own time-to-live (TTL), either
+ * for all endpoints or only for a specific one, and a response expires after
+ * the shortest TTL among its shards.
+ *
+ * Requests for private data and requests executing actions, such as login
+ * verifications, are never cached.
+ */
+class ResponseCache {
+	/**
+	 * The backend storing the responses.
+	 * @type {CacheBackend}
+	 * @private
+	 */
+	backend;
+
+	/**
+	 * Number of milliseconds after which responses expire, unless any of the
+	 * requested shards has a TTL of its own.
+	 * @type {number}
+	 * @private
+	 */
+	ttl;
+
+	/**
+	 * TTLs registered for individual shards, keyed by `endpoint:shard` for
+	 * shards on a specific endpoint and by `shard` for those on any endpoint.
+	 * @type {Map<string, number>}
+	 * @private
+	 */
+	ttls = new Map();
+
+	/**
+	 * @arg {CacheBackend} backend Backend to store the responses in; by
+	 *     default, they are kept in memory
+	 * @arg {number} ttl Number of milliseconds after which responses expire
+	 *     by default; defaults to `60000`
+	 */
+	constructor(backend = new MemoryCacheBackend(), ttl = 60000) {
+		if(!(backend instanceof CacheBackend))
+			throw new TypeError('Invalid cache backend: ' + backend);
+		if(typeof ttl !== 'number' || ttl < 0)
+			throw new TypeError('Invalid TTL: ' + ttl);
+		this.backend = backend;
+		this.ttl = ttl;
+	}
+
+	/**
+	 * Registers the TTL for responses containing the given shard.
+	 * @arg {string} shard Shard to set the TTL for, e.g.
+	 *     {@link RegionShard.NATIONS}
+	 * @arg {number} ttl Number of milliseconds after which the responses
+	 *     expire; `0` to never cache them
+	 * @arg {?string} endpoint Endpoint to set the TTL for - `nation`,
+	 *     `region`, `world`, `wa`, or `cards` - since several endpoints
+	 *     offer shards of the same name; `null` to set it for all of them
+	 * @returns {this} The cache, for chaining
+	 */
+	setTTL(shard, ttl, endpoint = null) {
+		if(typeof shard !== 'string')
+			throw new TypeError('Invalid shard: ' + shard);
+		if(typeof ttl !== 'number' || ttl < 0)
+			throw new TypeError('Invalid TTL: ' + ttl);
+		this.ttls.set(endpoint ? `${endpoint}:${shard}` : shard, ttl);
+		return this;
+	}
+
+	/**
+	 * Determines after how long a response to a request for the given shards
+	 * on the given endpoint expires.
+	 * @arg {string} endpoint Endpoint the request is made to
+	 * @arg {string[]} shards Shards requested
+	 * @returns {number} Number of milliseconds until the response expires
+	 */
+	getTTL(endpoint, shards) {
+		let ret = null;
+		for(let shard of shards) {
+			let ttl = this.ttls.get(`${endpoint}:${shard}`)
+				?? this.ttls.get(shard);
+			if(ttl !== undefined) ret = Math.min(ret ?? ttl, ttl);
+		}
+		return ret ?? this.ttl;
+	}
+
+	/**
+	 * Looks up the response body stored under the given key.
+	 * @arg {string} key Key to look up
+	 * @returns {Promise<?string>} The stored body; `null` if there is none
+	 */
+	async get(key) {
+		return await this.backend.get(key);
+	}
+
+	/**
+	 * Stores the given response body under the given key, unless the TTL is
+	 * `0`.
+	 * @arg {string} key Key to store the body under
+	 * @arg {string} body Response body to store
+	 * @arg {number} ttl Number of milliseconds after which the body expires
+	 * @returns {Promise<void>}
+	 */
+	async set(key, body, ttl) {
+		if(ttl > 0) await this.backend.set(key, body, ttl);
+	}
+
+	/**
+	 * Removes all stored responses.
+	 * @returns {Promise<void>}
+	 */
+	async clear() {
+		await this.backend.clear();
+	}
+}
+
+exports.CacheBackend = CacheBackend;
+exports.MemoryCacheBackend = MemoryCacheBackend;
+exports.FileCacheBackend = FileCacheBackend;
+exports.ResponseCache = ResponseCache;
@@ -29,6 +29,9 @@ const CardWorld = require('../type/card-world');
  * the API (`q=card`).
  */
 class CardIndividualRequest extends ShardableRequest {
+	/** @inheritdoc */
+	endpoint = 'cards';
+
 	/**
 	 * Additionally {@link DataRequest#mandate mandate}s the `q`, `cardid`, and
 	 * `season` arguments and sets the `q` argument.
@@ -109,6 +112,9 @@ class CardIndividualRequest extends ShardableRequest {
  * API (`q=cards`).
  */
 class CardWorldRequest extends ShardableRequest {
+	/** @inheritdoc */
+	endpoint = 'cards';
+
 	/**
 	 * Additionally {@link DataRequest#mandate mandate}s the `q` argument and
 	 * sets it.
@@ -22,6 +22,7 @@ const {
 const {
 	NSError
 } = require('../errors');
+const { Priority } = require('./ratelimit');
 const types = require('../types');
 
 const {
@@ -38,11 +39,15 @@ const IssueEffect = require('../type/issue-effect');
  */
 class CommandRequest extends DataRequest {
 	/**
-	 * {@link DataRequest#mandate mandate}s the `nation` and `c` arguments.
+	 * {@link DataRequest#mandate mandate}s the `nation` and `c` arguments and
+	 * places the request in the {@link Priority.INTERACTIVE} lane. Commands
+	 * are never {@link DataRequest#coalescible coalescible}.
 	 */
 	constructor() {
 		super();
 		this.mandate('nation', 'c');
+		this.priority = Priority.INTERACTIVE;
+		this.coalescible = false;
 	}
 
 	/**
@@ -108,34 +113,41 @@ class TwoStepCommand extends CommandRequest {
 	}
 
 	/**
+	 * Only the preparation step may be retried, since the execution step
+	 * would otherwise risk executing the command twice.
 	 * @inheritdoc
 	 * @returns {Promise<string>} Content of the returned `<SUCCESS>` tag
 	 */
 	async send() {
-		// First, send this command in prepare mode
-		this.setArgument('mode', 'prepare')
-			// Everything is returned within <NATION> tags
-			.useFactory((root) => new NSFactory().onTag('NATION', (me) => me
-				.build('')
-				.assignSubFactory(new NSFactory()
-					// Both the execution token and the ultimate result of
-					// execution are returned within <SUCCESS> tags
-					.onTag('SUCCESS', (me) => me.build(''))
-
-					// If there is an internal error, the error message is
-					// ususally within <ERROR> tags, but can also be in a <div>
-					.onTag('div', createError)
-					.onTag('ERROR', createError)
-				)));
-
-		let ret = await super.send();
-		if(typeof ret !== 'string')
-			throw new NSError('Failed to obtain command execution token');
-
-		// Switch to execution mode, send again and return the result
-		this.setArgument('token', ret)
-			.setArgument('mode', 'execute');
-		return await super.send();
+		return await this.guard(async () => {
+			// First, send this command in prepare mode
+			this.retryable = true;
+			this.setArgument('mode', 'prepare')
+				// Everything is returned within <NATION> tags
+				.useFactory((root) => new NSFactory().onTag('NATION', (me) => me
+					.build('')
+					.assignSubFactory(new NSFactory()
+						// Both the execution token and the ultimate result of
+						// execution are returned within <SUCCESS> tags
+						.onTag('SUCCESS', (me) => me.build(''))
+
+						// If there is an internal error, the error message is
+						// ususally within <ERROR> tags, but can also be in a
+						// <div>
+						.onTag('div', createError)
+						.onTag('ERROR', createError)
+					)));
+
+			let ret = await super.send();
+			if(typeof ret !== 'string')
+				throw new NSError('Failed to obtain command execution token');
+
+			// Switch to execution mode, send again and return the result
+			this.retryable = false;
+			this.setArgument('token', ret)
+				.setArgument('mode', 'execute');
+			return await super.send();
+		});
 	}
 }
 
@@ -146,12 +158,14 @@ class TwoStepCommand extends CommandRequest {
 class IssueCommand extends CommandRequest {
 	/**
 	 * Additionally {@link DataRequest#mandate mandate}s the `issue` and
-	 * `option` arguments and sets the `c` argument.
+	 * `option` arguments and sets the `c` argument. Since answering an issue
+	 * twice is not possible, the command is never retried.
 	 */
 	constructor() {
 		super();
 		this.mandate('issue', 'option')
 			.setArgument('c', 'issue');
+		this.retryable = false;
 	}
 
 	/**
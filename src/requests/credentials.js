@@ -0,0 +1,422 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+/**
+ * Provides the means of managing the login credentials of many nations.
+ * @module nationscript/requests/credentials
+ */
+
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const {
+	NSCredential,
+	toIDForm
+} = require('./base');
+const {
+	NSError,
+	APIError,
+	RecentLoginError,
+	VirtualError
+} = require('../errors');
+
+/**
+ * The stored login credentials of a single nation.
+ * @typedef CredentialRecord
+ * @prop {string} nation Name of the nation (`id_form`)
+ * @prop {?string} password The nation's password
+ * @prop {?string} autologin The nation's autologin code
+ * @prop {?string} pin The login PIN of the nation's current session
+ * @prop {number} pinTime Timestamp of when the PIN was last used or received
+ */
+
+/**
+ * Names of the login credential properties, in the order in which they are
+ * tried, along with the headers they are sent under.
+ * @type {Array<[string, string]>}
+ * @ignore
+ */
+const tiers = [
+	[ 'pin', 'X-Pin' ],
+	[ 'autologin', 'X-Autologin' ],
+	[ 'password', 'X-Password' ]
+];
+
+/**
+ * Superclass for all credential storages. A storage persists the
+ * {@link CredentialRecord}s of a {@link CredentialStore}.
+ */
+class CredentialStorage {
+	/**
+	 * Reads the stored records.
+	 * @returns {Promise<CredentialRecord[]>} The records
+	 * @virtual
+	 */
+	async load() {
+		throw new VirtualError(this.load, this.constructor);
+	}
+
+	/**
+	 * Replaces the stored records with the given ones.
+	 * @arg {CredentialRecord[]} records Records to store
+	 * @virtual
+	 */
+	async save(records) {
+		throw new VirtualError(this.save, this.constructor);
+	}
+}
+
+/**
+ * The default storage, keeping the records in memory only.
+ */
+class MemoryCredentialStorage extends CredentialStorage {
+	/**
+	 * The stored records.
+	 * @type {CredentialRecord[]}
+	 * @private
+	 */
+	records = [];
+
+	/** @inheritdoc */
+	async load() {
+		return this.records.map((record) => ({ ...record }));
+	}
+
+	/** @inheritdoc */
+	async save(records) {
+		this.records = records.map((record) => ({ ...record }));
+	}
+}
+
+/**
+ * A storage keeping the records in a JSON file, encrypted with AES-256-GCM
+ * using a key derived from a secret via scrypt. Besides keeping passwords off
+ * the disk in plain text, this detects any tampering with the file.
+ *
+ * The file is replaced atomically and only made readable to its owner.
+ */
+class EncryptedFileCredentialStorage extends CredentialStorage {
+	/**
+	 * Path to the file containing the records.
+	 * @type {string}
+	 * @private
+	 */
+	file;
+
+	/**
+	 * Secret to derive the encryption key from.
+	 * @type {string}
+	 * @private
+	 */
+	secret;
+
+	/**
+	 * Salt of the most recently derived key, and that key.
+	 * @type {?{salt: Buffer, key: Buffer}}
+	 * @private
+	 */
+	derived = null;
+
+	/**
+	 * @arg {string} file Path to the file to keep the records in; created
+	 *     upon saving if it doesn't exist yet
+	 * @arg {string} secret Secret to encrypt the file with
+	 */
+	constructor(file, secret) {
+		super();
+		if(typeof file !== 'string')
+			throw new TypeError('Invalid path: ' + file);
+		if(typeof secret !== 'string' || secret.length === 0)
+			throw new TypeError('Invalid secret');
+		this.file = path.resolve(file);
+		this.secret = secret;
+	}
+
+	/** @inheritdoc */
+	async load() {
+		if(!fs.existsSync(this.file)) return [];
+		try {
+			let stored = JSON.parse(fs.readFileSync(this.file, 'utf-8'));
+			let key = this.derive(Buffer.from(stored.salt, 'base64'));
+			let decipher = crypto.createDecipheriv('aes-256-gcm', key,
+				Buffer.from(stored.iv, 'base64'));
+			decipher.setAuthTag(Buffer.from(stored.tag, 'base64'));
+			return JSON.parse(Buffer.concat([
+				decipher.update(Buffer.from(stored.data, 'base64')),
+				decipher.final()
+			]).toString('utf-8'));
+		} catch(e) {
+			throw new NSError('Could not decrypt credential file: '
+				+ this.file);
+		}
+	}
+
+	/** @inheritdoc */
+	async save(records) {
+		let salt = this.derived?.salt ?? crypto.randomBytes(16);
+		let iv = crypto.randomBytes(12);
+		let cipher = crypto.createCipheriv('aes-256-gcm', this.derive(salt),
+			iv);
+		let data = Buffer.concat([
+			cipher.update(JSON.stringify(records), 'utf-8'),
+			cipher.final()
+		]);
+
+		let temp = `${this.file}.${process.pid}.tmp`;
+		fs.writeFileSync(temp, JSON.stringify({
+			salt: salt.toString('base64'),
+			iv: iv.toString('base64'),
+			tag: cipher.getAuthTag().toString('base64'),
+			data: data.toString('base64')
+		}), { mode: 0o600 });
+		fs.renameSync(temp, this.file);
+	}
+
+	/**
+	 * Derives the encryption key for the given salt, reusing the previously
+	 * derived key if the salt is the same, since derivation is deliberately
+	 * slow.
+	 * @arg {Buffer} salt Salt to derive the key with
+	 * @returns {Buffer} The key
+	 * @private
+	 */
+	derive(salt) {
+		if(this.derived?.salt.equals(salt)) return this.derived.key;
+		let key = crypto.scryptSync(this.secret, salt, 32);
+		this.derived = { salt, key };
+		return key;
+	}
+}
+
+/**
+ * Holds the login credentials of many nations, keyed by their names in
+ * `id_form`, and authenticates requests on their behalf.
+ *
+ * Requests executed via {@link CredentialStore#execute execute} are sent one
+ * after another per nation, so that concurrent requests don't race on the
+ * session PIN. Each request is first sent with just the PIN; should that be
+ * rejected, or the API refuse the login with a {@link RecentLoginError}, it is
+ * sent again with just the autologin code, and finally with just the
+ * password. PINs that have not been used for longer than the PIN lifetime are
+ * considered expired and discarded without trying them.
+ *
+ * New autologin codes and PINs returned by the API are written to the storage
+ * automatically. Credentials added or removed by hand are only written once
+ * {@link CredentialStore#save save} is called.
+ */
+class CredentialStore {
+	/**
+	 * Storage persisting the credentials.
+	 * @type {CredentialStorage}
+	 * @private
+	 */
+	storage;
+
+	/**
+	 * Number of milliseconds a PIN remains valid without being used.
+	 * @type {number}
+	 * @private
+	 */
+	pinLifetime;
+
+	/**
+	 * The credentials, keyed by nation.
+	 * @type {Map<string, NSCredential>}
+	 * @private
+	 */
+	credentials = new Map();
+
+	/**
+	 * Timestamps of when the PIN of each nation was last used or received.
+	 * @type {Map<string, number>}
+	 * @private
+	 */
+	pinTimes = new Map();
+
+	/**
+	 * Promises settling once the last request queued for each nation has
+	 * been executed.
+	 * @type {Map<string, Promise<void>>}
+	 * @private
+	 */
+	queues = new Map();
+
+	/**
+	 * @arg {CredentialStorage} storage Storage to persist the credentials in;
+	 *     defaults to a {@link MemoryCredentialStorage}
+	 * @arg {number} pinLifetime Number of milliseconds after which an unused
+	 *     PIN is considered expired; defaults to 110 minutes, a little less
+	 *     than the two hours of idleness after which NationStates ends a
+	 *     session
+	 */
+	constructor(storage = new MemoryCredentialStorage(),
+			pinLifetime = 110 * 60 * 1000) {
+		if(!(storage instanceof CredentialStorage))
+			throw new TypeError('Invalid credential storage: ' + storage);
+		if(typeof pinLifetime !== 'number' || pinLifetime <= 0)
+			throw new TypeError('Invalid PIN lifetime: ' + pinLifetime);
+		this.storage = storage;
+		this.pinLifetime = pinLifetime;
+	}
+
+	/**
+	 * Names of the nations credentials are held for (`id_form`).
+	 * @type {string[]}
+	 */
+	get nations() {
+		return [ ...this.credentials.keys() ];
+	}
+
+	/**
+	 * Adds the given credential, replacing any held for the same nation.
+	 * @arg {NSCredential} credential Credential to add
+	 * @returns {this} The store, for chaining
+	 */
+	add(credential) {
+		if(!(credential instanceof NSCredential))
+			throw new TypeError('Invalid credential: ' + credential);
+		this.credentials.set(credential.nation, credential);
+		this.pinTimes.set(credential.nation, Date.now());
+		return this;
+	}
+
+	/**
+	 * Gets the credential held for the given nation. An expired PIN is
+	 * discarded beforehand.
+	 * @arg {string} nation Name of the nation
+	 * @returns {?NSCredential} The credential; `null` if none is held
+	 */
+	get(nation) {
+		let id = toIDForm(nation);
+		let ret = this.credentials.get(id) ?? null;
+		if(ret?.pin && Date.now() - this.pinTimes.get(id) > this.pinLifetime)
+			ret.pin = null;
+		return ret;
+	}
+
+	/**
+	 * Removes the credential held for the given nation, if any.
+	 * @arg {string} nation Name of the nation
+	 * @returns {this} The store, for chaining
+	 */
+	remove(nation) {
+		let id = toIDForm(nation);
+		this.credentials.delete(id);
+		this.pinTimes.delete(id);
+		return this;
+	}
+
+	/**
+	 * Replaces the credentials held with those in the storage.
+	 * @returns {Promise<this>} The store, for chaining
+	 */
+	async load() {
+		this.credentials.clear();
+		this.pinTimes.clear();
+		for(let record of await this.storage.load()) {
+			let credential = new NSCredential(record.nation, record.password,
+				record.autologin);
+			credential.pin = record.pin ?? null;
+			this.credentials.set(credential.nation, credential);
+			this.pinTimes.set(credential.nation, record.pinTime ?? 0);
+		}
+		return this;
+	}
+
+	/**
+	 * Writes the credentials held to the storage.
+	 * @returns {Promise<this>} The store, for chaining
+	 */
+	async save() {
+		await this.storage.save([ ...this.credentials.values() ]
+			.map((credential) => ({
+				nation: credential.nation,
+				password: credential.password,
+				autologin: credential.autologin,
+				pin: credential.pin,
+				pinTime: this.pinTimes.get(credential.nation)
+			})));
+		return this;
+	}
+
+	/**
+	 * Authenticates the given request for the given nation and sends it, once
+	 * all requests previously executed for the nation are done. Falls back
+	 * from the PIN to the autologin code to the password as described for
+	 * {@link CredentialStore this class}.
+	 * @template T
+	 * @arg {string} nation Name of the nation to authenticate as
+	 * @arg {{authenticate: Function, send: () => Promise<T>}} request
+	 *     {@link NationRequest} or {@link CommandRequest} to send
+	 * @returns {Promise<T>} The result of the request
+	 * @throws {NSError} if no credential is held for the nation
+	 */
+	async execute(nation, request) {
+		let id = toIDForm(nation);
+		if(!this.credentials.has(id))
+			throw new NSError('No credential held for nation: ' + id);
+
+		let previous = this.queues.get(id) ?? Promise.resolve();
+		let ret = previous.then(() => this.attempt(id, request));
+		let done = ret.then(() => {}, () => {});
+		this.queues.set(id, done);
+		try {
+			return await ret;
+		} finally {
+			if(this.queues.get(id) === done) this.queues.delete(id);
+		}
+	}
+
+	/**
+	 * Sends the given request with each of the nation's login credentials in
+	 * turn, until one is accepted.
+	 * @template T
+	 * @arg {string} id Name of the nation (`id_form`)
+	 * @arg {{authenticate: Function, send: () => Promise<T>}} request Request
+	 *     to send
+	 * @returns {Promise<T>} The result of the request
+	 * @private
+	 */
+	async attempt(id, request) {
+		let credential = this.get(id);
+		if(credential === null)
+			throw new NSError('No credential held for nation: ' + id);
+		let known = [ credential.autologin, credential.pin ];
+
+		let available = tiers.filter(([ prop ]) => credential[prop]);
+		if(available.length === 0)
+			throw new NSError('No login credentials held for nation: ' + id);
+		try {
+			for(let i = 0; ; i++) {
+				let [ prop ] = available[i];
+				request.authenticate(credential);
+				for(let [ other, header ] of tiers)
+					if(other !== prop) request.removeHeader(header);
+				try {
+					let ret = await request.send();
+					this.pinTimes.set(id, Date.now());
+					return ret;
+				} catch(e) {
+					// The API refuses an expired PIN with a plain 403
+					let rejected = e instanceof RecentLoginError
+						|| (prop === 'pin' && e.constructor === APIError
+							&& e.status === 403);
+					if(!rejected || i === available.length - 1) throw e;
+					if(prop === 'pin') credential.pin = null;
+				}
+			}
+		} finally {
+			if(credential.autologin !== known[0] || credential.pin !== known[1])
+				await this.save();
+		}
+	}
+}
+
+exports.CredentialStorage = CredentialStorage;
+exports.MemoryCredentialStorage = MemoryCredentialStorage;
+exports.EncryptedFileCredentialStorage = EncryptedFileCredentialStorage;
+exports.CredentialStore = CredentialStore;
@@ -0,0 +1,315 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+/**
+ * Provides the index allowing individual objects to be read from local Data
+ * Dump copies without parsing the entire Dump.
+ * @module nationscript/requests/dump-index
+ */
+
+const fs = require('node:fs');
+const { promisify } = require('node:util');
+const zlib = require('node:zlib');
+
+const { NSError } = require('../errors');
+
+const inflate = promisify(zlib.inflateRaw);
+
+/**
+ * @callback IndexKeyConverter
+ * Converts the key of an object, as found in the Dump XML or given to
+ * {@link DumpIndex#read}, into the form it is indexed under.
+ * @arg {string} key Key to convert
+ * @returns {string} The converted key
+ */
+
+/**
+ * Version of the stored index format; stored indices of other versions are
+ * rebuilt.
+ * @type {number}
+ * @ignore
+ */
+const format = 2;
+
+/**
+ * An index of the objects within a local Data Dump copy. Building it requires
+ * decompressing the Dump once, but not parsing it: each top-level element is
+ * merely compressed on its own into a data file next to the Dump copy, with
+ * the index recording where in the data file each element starts, and how
+ * long it is. Reading an object then only requires reading and decompressing
+ * its element, and parsing only that element.
+ *
+ * So that the elements still compress well on their own, all of them are
+ * compressed with the first element as preset dictionary, since they share
+ * most of their tags.
+ *
+ * The index is stored in a JSON file next to the Dump copy, and is rebuilt
+ * along with the data file whenever the size or modification time of the
+ * Dump copy changes.
+ */
+class DumpIndex {
+	/**
+	 * Path to the indexed Dump copy.
+	 * @type {string}
+	 * @private
+	 */
+	file;
+
+	/**
+	 * Name of the top-level elements to index, e.g. `NATION`.
+	 * @type {string}
+	 * @private
+	 */
+	element;
+
+	/**
+	 * Name of the tag within each top-level element that contains its key,
+	 * e.g. `NAME`.
+	 * @type {string}
+	 * @private
+	 */
+	key;
+
+	/**
+	 * Function converting keys into the form they are indexed under.
+	 * @type {IndexKeyConverter}
+	 * @private
+	 */
+	convert;
+
+	/**
+	 * Offset and length of the compressed element of each indexed object in
+	 * the {@link DumpIndex#dataFile data file}, by key.
+	 * @type {Map<string, number[]>}
+	 * @private
+	 */
+	entries = new Map();
+
+	/**
+	 * The decompressed data of the Dump preceding its first indexed element,
+	 * i.e. the opening tags of the elements enclosing all indexed ones.
+	 * @type {string}
+	 * @private
+	 */
+	prefix = '';
+
+	/**
+	 * Preset dictionary the elements in the data file are compressed with.
+	 * @type {Buffer}
+	 * @private
+	 */
+	dictionary = Buffer.alloc(0);
+
+	/**
+	 * @arg {string} file Path to the Dump copy to index
+	 * @arg {string} element Name of the top-level elements to index
+	 * @arg {string} key Name of the tag containing the key of each element
+	 * @arg {IndexKeyConverter} convert Function converting keys into the form
+	 *     they are indexed under
+	 */
+	constructor(file, element, key, convert = (key) => key) {
+		this.file = file;
+		this.element = element;
+		this.key = key;
+		this.convert = convert;
+	}
+
+	/**
+	 * Path to the file the index is stored in.
+	 * @type {string}
+	 */
+	get indexFile() {
+		return this.file + '.index.json';
+	}
+
+	/**
+	 * Path to the file the separately compressed elements are stored in.
+	 * @type {string}
+	 */
+	get dataFile() {
+		return this.file + '.index.dat';
+	}
+
+	/**
+	 * Number of indexed objects.
+	 * @type {number}
+	 */
+	get size() {
+		return this.entries.size;
+	}
+
+	/**
+	 * Loads the stored index, or builds and stores it if none is stored or the
+	 * Dump copy has changed since it was built.
+	 * @returns {Promise<this>} The index, for chaining
+	 * @throws {NSError} if the Dump copy does not exist
+	 */
+	async load() {
+		if(!fs.existsSync(this.file))
+			throw new NSError('Could not obtain dump data');
+		let stat = fs.statSync(this.file);
+		try {
+			let stored = JSON.parse(fs.readFileSync(this.indexFile, 'utf-8'));
+			if(stored.format === format && stored.size === stat.size
+				&& stored.mtime === stat.mtimeMs
+				&& stored.element === this.element
+				&& fs.existsSync(this.dataFile)) {
+				this.prefix = stored.prefix;
+				this.dictionary = Buffer.from(stored.dictionary, 'base64');
+				this.entries = new Map(Object.entries(stored.entries));
+				return this;
+			}
+		} catch(e) {
+			// Missing and corrupt index files alike are simply rebuilt
+		}
+		return await this.build();
+	}
+
+	/**
+	 * Builds the index and data file by scanning the Dump copy, and stores
+	 * them.
+	 * @returns {Promise<this>} The index, for chaining
+	 */
+	async build() {
+		let stat = fs.statSync(this.file);
+		let tags = new RegExp(`<(/?)${this.element}[\\s>]`, 'g');
+		let keyTag = new RegExp(`<${this.key}>([^<]*)</${this.key}>`);
+		let closeLength = this.element.length + 3;
+
+		// The decompressed data is handled as Latin-1, so that each character
+		// of the string stands for exactly one byte
+		let buffer = '';
+		let base = 0;	// Offset of the buffer start in the decompressed data
+		let depth = 0;
+		let start = 0;
+		let prefix = null;
+		let dictionary = null;
+		let entries = new Map();
+		let data = `${this.dataFile}.${process.pid}.tmp`;
+		let fd = fs.openSync(data, 'w');
+		let written = 0;
+		try {
+			for await (let chunk of fs.createReadStream(this.file)
+				.pipe(zlib.createGunzip())) {
+				buffer += chunk.toString('latin1');
+
+				let match;
+				let next = tags.lastIndex;
+				while((match = tags.exec(buffer))) {
+					next = tags.lastIndex;
+					if(!match[1]) {
+						if(depth++ > 0) continue;
+						start = base + match.index;
+						if(prefix === null)
+							prefix = buffer.substring(0, match.index);
+						continue;
+					}
+					if(--depth > 0) continue;
+
+					let end = match.index + closeLength;
+					let element = buffer.substring(start - base, end);
+					let key = keyTag.exec(element)?.[1];
+					if(key === undefined) continue;
+
+					let bytes = Buffer.from(element, 'latin1');
+					if(dictionary === null) dictionary = bytes;
+					let compressed = zlib.deflateRawSync(bytes, { dictionary });
+					fs.writeSync(fd, compressed);
+					entries.set(this.convert(key),
+						[ written, compressed.length ]);
+					written += compressed.length;
+				}
+
+				// Keep the current element, or just enough to complete a tag
+				// cut off at the end of the chunk
+				let cut = depth > 0
+					? start - base
+					: Math.max(0, buffer.length - closeLength);
+				if(prefix === null) cut = 0;
+				buffer = buffer.substring(cut);
+				base += cut;
+				tags.lastIndex = Math.max(0, next - cut);
+			}
+			if(depth > 0) throw new NSError('Incomplete dump: ' + this.file);
+		} catch(e) {
+			fs.closeSync(fd);
+			fs.rmSync(data, { force: true });
+			throw e;
+		}
+		fs.closeSync(fd);
+		fs.renameSync(data, this.dataFile);
+
+		this.prefix = prefix ?? '';
+		this.dictionary = dictionary ?? Buffer.alloc(0);
+		this.entries = entries;
+		let temp = `${this.indexFile}.${process.pid}.tmp`;
+		fs.writeFileSync(temp, JSON.stringify({
+			format,
+			size: stat.size,
+			mtime: stat.mtimeMs,
+			element: this.element,
+			prefix: this.prefix,
+			dictionary: this.dictionary.toString('base64'),
+			entries: Object.fromEntries(entries)
+		}));
+		fs.renameSync(temp, this.indexFile);
+		return this;
+	}
+
+	/**
+	 * Checks whether an object with the given key is indexed.
+	 * @arg {string} key Key of the object
+	 * @returns {boolean} `true` if it is indexed
+	 */
+	has(key) {
+		return this.entries.has(this.convert(String(key)));
+	}
+
+	/**
+	 * Reads the XML of the object with the given key from the data file,
+	 * wrapped in the elements enclosing it in the Dump, so that it can be
+	 * parsed just like the entire Dump.
+	 * @arg {string} key Key of the object
+	 * @returns {Promise<?string>} The XML; `null` if the object isn't indexed
+	 */
+	async read(key) {
+		let entry = this.entries.get(this.convert(String(key)));
+		if(!entry) return null;
+		let [ offset, length ] = entry;
+
+		let compressed = Buffer.alloc(length);
+		let handle = await fs.promises.open(this.dataFile, 'r');
+		try {
+			await handle.read(compressed, 0, length, offset);
+		} finally {
+			await handle.close();
+		}
+		return this.prefix
+			+ (await inflate(compressed, { dictionary: this.dictionary }))
+				.toString('utf-8')
+			+ closeTags(this.prefix);
+	}
+}
+
+/**
+ * Creates the closing tags for all elements opened but not closed in the
+ * given XML, in the order they need to be closed in.
+ * @arg {string} xml XML to close the elements of
+ * @returns {string} The closing tags
+ * @ignore
+ */
+function closeTags(xml) {
+	let open = [];
+	for(let [ , close, name, empty ] of xml
+		.matchAll(/<(\/?)([A-Za-z_][\w.-]*)[^>]*?(\/?)>/g)) {
+		if(empty) continue;
+		if(close) open.pop();
+		else open.push(name);
+	}
+	return open.reverse().map((name) => `</${name}>`).join('');
+}
+
+exports.DumpIndex = DumpIndex;
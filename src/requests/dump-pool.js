@@ -0,0 +1,264 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+/**
+ * Internal module providing the pool of worker threads that parse Daily Data
+ * Dumps in parallel. When loaded within such a worker thread, the module acts
+ * as the worker itself.
+ * @module nationscript/requests/dump-pool
+ */
+
+const {
+	Worker,
+	isMainThread,
+	parentPort,
+	workerData
+} = require('node:worker_threads');
+
+const Parser = require('node-xml-stream-parser');
+
+const { NSError } = require('../errors');
+const Factory = require('../factory');
+
+/**
+ * Modules providing the factories for each kind of top-level Dump element.
+ * @type {Object.<string, string>}
+ * @ignore
+ */
+const factories = {
+	NATION: '../type/dump-nation',
+	REGION: '../type/dump-region'
+};
+
+/**
+ * Number of bytes of decompressed Dump data to hand to a worker at once.
+ * @type {number}
+ * @default 1048576
+ * @ignore
+ */
+const chunkSize = 1024 * 1024;
+
+/**
+ * A pool of worker threads, each parsing chunks of Dump XML into objects.
+ * @package
+ */
+class DumpWorkerPool {
+	/**
+	 * Maximum number of worker threads.
+	 * @type {number}
+	 * @private
+	 */
+	size;
+
+	/**
+	 * Data handed to each worker thread: the name of the top-level elements
+	 * and the names of the only properties to parse.
+	 * @type {{element: string, fields: ?string[]}}
+	 * @private
+	 */
+	options;
+
+	/**
+	 * All worker threads started.
+	 * @type {Worker[]}
+	 * @private
+	 */
+	workers = [];
+
+	/**
+	 * Worker threads not currently parsing a chunk.
+	 * @type {Worker[]}
+	 * @private
+	 */
+	idle = [];
+
+	/**
+	 * Chunks waiting for a worker thread to become idle.
+	 * @type {{data: Buffer, resolve: Function, reject: Function}[]}
+	 * @private
+	 */
+	queue = [];
+
+	/**
+	 * @arg {number} size Maximum number of worker threads
+	 * @arg {string} element Name of the top-level elements, e.g. `NATION`
+	 * @arg {?string[]} fields Names of the only properties to parse
+	 */
+	constructor(size, element, fields) {
+		if(!(element in factories))
+			throw new NSError('Unsupported dump element: ' + element);
+		this.size = size;
+		this.options = { element, fields };
+	}
+
+	/**
+	 * Parses the given chunk of top-level elements in a worker thread.
+	 * @arg {Buffer} data The XML of the elements
+	 * @returns {Promise<object[]>} The parsed objects, in order
+	 */
+	run(data) {
+		return new Promise((resolve, reject) => {
+			this.queue.push({ data, resolve, reject });
+			if(this.idle.length === 0 && this.workers.length < this.size)
+				this.spawn();
+			this.dispatch();
+		});
+	}
+
+	/**
+	 * Stops all worker threads, rejecting all chunks not parsed yet.
+	 * @returns {Promise<void>}
+	 */
+	async terminate() {
+		for(let task of this.queue.splice(0))
+			task.reject(new NSError('Worker pool terminated'));
+		let workers = this.workers.splice(0);
+		this.idle = [];
+		await Promise.all(workers.map((worker) => worker.terminate()));
+	}
+
+	/**
+	 * Starts a new worker thread.
+	 * @private
+	 */
+	spawn() {
+		let worker = new Worker(__filename, { workerData: this.options });
+		this.workers.push(worker);
+		this.idle.push(worker);
+	}
+
+	/**
+	 * Hands waiting chunks to idle worker threads.
+	 * @private
+	 */
+	dispatch() {
+		while(this.idle.length > 0 && this.queue.length > 0) {
+			let worker = this.idle.pop();
+			let task = this.queue.shift();
+			let release = () => {
+				worker.off('message', onMessage);
+				worker.off('error', onError);
+				worker.off('exit', onExit);
+			};
+			let onMessage = (message) => {
+				release();
+				this.idle.push(worker);
+				this.dispatch();
+				if(message.error) task.reject(new NSError(message.error));
+				else task.resolve(message.objects);
+			};
+
+			// A worker thread that crashed or was terminated while parsing
+			// leaves the pool unusable
+			let onError = (err) => {
+				release();
+				task.reject(err);
+				this.terminate();
+			};
+			let onExit = () => onError(new NSError('Worker pool terminated'));
+			worker.on('message', onMessage);
+			worker.on('error', onError);
+			worker.on('exit', onExit);
+			worker.postMessage(task.data);
+		}
+	}
+}
+
+/**
+ * Splits the given stream of decompressed Dump XML into chunks of complete
+ * top-level elements, each roughly {@link chunkSize} bytes large.
+ * @arg {AsyncIterable<Buffer>} source The decompressed Dump
+ * @arg {string} element Name of the top-level elements
+ * @returns {AsyncGenerator<Buffer>} The chunks
+ * @package
+ */
+async function* split(source, element) {
+	let tags = new RegExp(`<(/?)${element}[\\s>]`, 'g');
+	let closeLength = element.length + 3;
+
+	// The data is handled as Latin-1, so that each character of the string
+	// stands for exactly one byte and converts back losslessly
+	let buffer = '';
+	let depth = 0;
+	let open = -1;	// Start of the element currently open
+	let start = -1;	// Start of the first element not yet handed out
+	let end = -1;	// End of the last complete element not yet handed out
+	for await (let chunk of source) {
+		buffer += chunk.toString('latin1');
+
+		let match;
+		let next = tags.lastIndex;
+		while((match = tags.exec(buffer))) {
+			next = tags.lastIndex;
+			if(!match[1]) {
+				if(depth++ > 0) continue;
+				open = match.index;
+				if(start < 0) start = open;
+			} else if(--depth === 0) end = match.index + closeLength;
+		}
+		if(end >= 0 && end - start >= chunkSize) {
+			yield Buffer.from(buffer.substring(start, end), 'latin1');
+			start = depth > 0 ? open : -1;
+			end = -1;
+		}
+
+		// Keep the elements not handed out yet, or just enough to complete a
+		// tag cut off at the end of the chunk
+		let cut = start >= 0 ? start : Math.max(0, buffer.length - closeLength);
+		buffer = buffer.substring(cut);
+		open -= cut;
+		if(start >= 0) start -= cut;
+		if(end >= 0) end -= cut;
+		tags.lastIndex = Math.max(0, next - cut);
+	}
+	if(depth > 0) throw new NSError('Incomplete dump');
+	if(end >= 0) yield Buffer.from(buffer.substring(start, end), 'latin1');
+}
+
+/**
+ * Parses the given Dump XML with factories created by the given function.
+ * @arg {Factory.FactoryConstructor<any>} create Creation function for the
+ *     root factory
+ * @arg {string} xml XML to parse
+ * @returns {Promise<void>}
+ * @package
+ */
+function parseString(create, xml) {
+	return new Promise((resolve, reject) => {
+		let factory = null;
+		let parser = new Parser();
+		parser.on('opentag', (name, attrs) => {
+			if(!factory) factory = create(attrs);
+			else factory.handleOpen(name, attrs);
+		});
+		parser.on('closetag', (name) => factory?.handleClose(name));
+		parser.on('text', (text) => factory?.handleText(text));
+		parser.on('cdata', (cdata) => factory?.handleCData(cdata));
+		parser.on('error', reject);
+		parser.on('finish', resolve);
+		parser.end(xml);
+	});
+}
+
+// Within a worker thread, parse each chunk received and send back the objects
+if(!isMainThread && workerData?.element in factories) {
+	const { createArray } = require(factories[workerData.element]);
+	parentPort.on('message', async (data) => {
+		let objects = [];
+		try {
+			await parseString(createArray(() => true,
+				(obj) => objects.push(obj), workerData.fields),
+				'<DUMP>' + Buffer.from(data).toString('utf-8') + '</DUMP>');
+			parentPort.postMessage({ objects });
+		} catch(e) {
+			parentPort.postMessage({ error: e?.message ?? String(e) });
+		}
+	});
+}
+
+exports.DumpWorkerPool = DumpWorkerPool;
+exports.split = split;
+exports.parseString = parseString;
@@ -14,15 +14,36 @@
 
 const fs = require('node:fs');
 const path = require('node:path');
+const stream = require('node:stream');
+const { promisify } = require('node:util');
 const zlib = require('node:zlib');
+const {
+	PassThrough,
+	Readable,
+	Writable
+} = stream;
+
+const Parser = require('node-xml-stream-parser');
 
 const {
-	NSRequest
+	NSRequest,
+	toIDForm
 } = require('./base');
+const { DumpIndex } = require('./dump-index');
+const {
+	DumpWorkerPool,
+	parseString,
+	split
+} = require('./dump-pool');
+const {
+	abortError,
+	link
+} = require('./abort');
 const {
 	NSError,
 	VirtualError,
-	DumpNotModifiedError
+	DumpNotModifiedError,
+	CorruptDumpError
 } = require('../errors');
 const types = require('../types');
 
@@ -31,12 +52,32 @@ const DumpNation = require('../type/dump-nation');
 const DumpRegion = require('../type/dump-region');
 const DumpCard = require('../type/dump-card');
 
+const pipeline = promisify(stream.pipeline);
+
+/**
+ * Default filter of Dump requests, discarding every object.
+ * @type {Factory.FactoryDecider<any>}
+ * @ignore
+ */
+const discardAll = (obj) => false;
+
 /**
  * @template ProductType
  * @callback DumpFactoryConstructor
  * @arg {Factory.FactoryDecider<ProductType>} decider
+ * @arg {?Factory.FactoryConsumer<ProductType>} [consumer]
+ * @arg {?string[]} [fields] Names of the only properties to parse
  * @returns {Factory.FactoryConstructor<ProductType[]>} DumpFactory constructor
- *     function bound to the provided `decider` function
+ *     function bound to the provided `decider` and `consumer` functions and
+ *     `fields`
+ */
+/**
+ * @callback ProgressListener
+ * Receives the progress of a Dump download.
+ * @arg {number} received Number of bytes received so far, including those of
+ *     a resumed earlier download
+ * @arg {?number} total Total number of bytes of the Dump; `null` if the
+ *     server didn't state it
  */
 /**
  * @callback FileNamerNormal
@@ -61,38 +102,6 @@ const DumpCard = require('../type/dump-card');
  * Dumps, including archived ones.
  */
 class DumpRequest extends NSRequest {
-	/**
-	 * Path to the directory where fetched Data Dumps are saved to locally.
-	 * @type {string}
-	 * @default './nsdumps/'
-	 * @static
-	 * @protected
-	 */
-	static directory = path.join('.', 'nsdumps');
-
-	/**
-	 * Sets the {@link DumpRequest.directory directory} to keep local copies of
-	 * fetched Data Dumps in.
-	 * @arg {string} dir Path to the desired directory
-	 * @returns {void}
-	 * @throws {TypeError} if `dir` isn't a valid string
-	 */
-	static setDirectory(dir) {
-		if(typeof dir !== 'string')
-			throw new TypeError('Invalid path: ' + dir);
-		if(!dir.endsWith('/')) dir += '/';
-		DumpRequest.directory = path.normalize(dir);
-	}
-
-	constructor() {
-		super();
-
-		// If it doesn't exist yet, the base directory for the storage of local
-		// dump copies is created
-		if(!fs.existsSync(DumpRequest.directory))
-			fs.mkdirSync(DumpRequest.directory);
-	}
-
 	/**
 	 * {@link DumpMode} in which to execute this request.
 	 * @type {number}
@@ -115,7 +124,7 @@ class DumpRequest extends NSRequest {
 	 * @type {Factory.FactoryDecider<any>}
 	 * @protected
 	 */
-	filter = (obj) => false;
+	filter = discardAll;
 
 	/**
 	 * Configure the filter function to apply to newly parsed objects. While
@@ -130,6 +139,70 @@ class DumpRequest extends NSRequest {
 		return this;
 	}
 
+	/**
+	 * Checks whether a filter has been configured via
+	 * {@link DumpRequest#setFilter setFilter}. Without one, all objects are
+	 * discarded.
+	 * @returns {boolean} `true` if a filter has been configured
+	 */
+	hasFilter() {
+		return this.filter !== discardAll;
+	}
+
+	/**
+	 * Names of the only properties to parse for each object; `null` to parse
+	 * all of them.
+	 * @type {?string[]}
+	 * @protected
+	 */
+	fields = null;
+
+	/**
+	 * Restrict the parsing of the Dump to the given properties of each object.
+	 * Tags in the Dump XML that don't belong to any of them are skipped
+	 * entirely, which makes parsing considerably faster if only a few
+	 * properties are needed. The other properties are left `undefined` - also
+	 * for the {@link DumpRequest#filter filter}.
+	 * @arg {...string} fields Names of the properties to parse, as given in
+	 *     the type definition of the parsed objects; none to parse all
+	 * @returns {this} The request, for chaining
+	 */
+	setFields(...fields) {
+		if(fields.some((field) => typeof field !== 'string'))
+			throw new TypeError('Invalid fields: ' + fields);
+		this.fields = fields.length > 0 ? fields : null;
+		return this;
+	}
+
+	/**
+	 * Path to the file or stream to read the Dump from instead; `null` to read
+	 * it as per the {@link DumpMode}.
+	 * @type {?(string|Readable)}
+	 * @private
+	 */
+	source = null;
+
+	/**
+	 * Configure a file or stream to read the Dump from, instead of the local
+	 * copy at {@link DumpRequest#getFilePath getFilePath} or the NationStates
+	 * servers. The {@link DumpMode} is then disregarded, and no API requests
+	 * are made. The data may be either gzip-compressed, like the Dumps
+	 * provided by NationStates, or plain XML.
+	 *
+	 * Note that a stream can only be read once, and that it is destroyed once
+	 * reading the Dump is done or stopped.
+	 * @arg {?(string|Readable)} source Path to the file or stream to read;
+	 *     `null` to read the Dump as per the `DumpMode` again
+	 * @returns {this} The request, for chaining
+	 */
+	setSource(source) {
+		if(source !== null && typeof source !== 'string'
+			&& !(source instanceof Readable))
+			throw new TypeError('Invalid dump source: ' + source);
+		this.source = source;
+		return this;
+	}
+
 	/**
 	 * Creates a readable stream of the file that the path returned by the
 	 * {@link DumpRequest#getFilePath} function points at. If a file does not
@@ -145,18 +218,24 @@ class DumpRequest extends NSRequest {
 	}
 
 	/**
-	 * Creates a writable stream targeting the file which the path returned by
-	 * the {@link DumpRequest#getFilePath} function points at. If a file does
-	 * not exist on that path yet, it is newly created for this purpose.
-	 * @returns {fs.WriteStream} Writable stream targeting the file content
+	 * Function to report the progress of downloads to.
+	 * @type {?ProgressListener}
 	 * @private
 	 */
-	writeLocal() {
-		let file = this.getFilePath();
-		if(fs.existsSync(file))
-			return fs.createWriteStream(file);
-		fs.writeFileSync(file, '');
-		return fs.createWriteStream(file);
+	progressListener = null;
+
+	/**
+	 * Configure a function to report the progress of downloading the Dump
+	 * to. It is called whenever a chunk of data arrives.
+	 * @arg {?ProgressListener} listener Function to call; `null` to not report
+	 *     the progress
+	 * @returns {this} The request, for chaining
+	 */
+	setProgressListener(listener) {
+		if(listener !== null && typeof listener !== 'function')
+			throw new TypeError('Invalid progress listener: ' + listener);
+		this.progressListener = listener;
+		return this;
 	}
 
 	/**
@@ -170,36 +249,40 @@ class DumpRequest extends NSRequest {
 	}
 
 	/**
-	 * Gets the raw readable stream of the queried Dump data. The original
-	 * stream - depending on the {@link DumpMode} used, either from the local
-	 * Dump copy or the remote copy on the NationStates servers - is `pipe()`d
-	 * first through a write stream to the local {@link DumpRequest#file file},
-	 * if necessary, and in any case will finally be `pipe()`d through a
-	 * `zlib.Gunzip` stream, which is the ultimate return value.
-	 * @returns {Promise<zlib.Gunzip>} Stream of the fetched data, if found
+	 * Gets the raw readable stream of the queried Dump data. If a
+	 * {@link DumpRequest#source source} is set, it is read. Otherwise,
+	 * depending on the {@link DumpMode} used, the Dump is first downloaded
+	 * into the local copy via {@link DumpRequest#download download}, and then
+	 * read from there, or read directly from the NationStates servers. In any
+	 * case, gzip-compressed data is finally `pipe()`d through a `zlib.Gunzip`
+	 * stream, which is the ultimate return value.
+	 * @returns {Promise<Readable>} Stream of the fetched data, if found
 	 * @override
 	 */
 	async getStream() {
 		let read = null;
-		let write = null;
 		let file = this.getFilePath();
 
-		switch(this.mode) {
+		if(this.source !== null) read = typeof this.source === 'string'
+			? fs.createReadStream(this.source)
+			: this.source;
+		else switch(this.mode) {
 			case DumpMode.DOWNLOAD:
-				read = await this.raw();
-				write = this.writeLocal();
+				await this.download();
+				read = this.readLocal();
 				break;
 
 			case DumpMode.DOWNLOAD_IF_CHANGED:
-				read = this.readLocal();
-				if(read) this.setHeader('If-Modified-Since', 
+				if(fs.existsSync(file)) this.setHeader('If-Modified-Since',
 					formatDateHeader(fs.statSync(file).mtime));
 				try {
-					read = await this.raw();
-					write = this.writeLocal();
+					await this.download();
 				} catch(e) {
 					if(!(e instanceof DumpNotModifiedError)) throw e;
+				} finally {
+					this.removeHeader('If-Modified-Since');
 				}
+				read = this.readLocal();
 				break;
 
 			case DumpMode.LOCAL:
@@ -209,17 +292,206 @@ class DumpRequest extends NSRequest {
 			case DumpMode.LOCAL_OR_DOWNLOAD:
 				read = this.readLocal();
 				if(read) break;
-				read = await this.raw();
-				write = this.writeLocal();
+				await this.download();
+				read = this.readLocal();
 				break;
 
-			case DumpMode.REMOTE:
-				read = await this.raw();
+			case DumpMode.REMOTE: {
+				// Track the response ahead of the head being peeked at and put
+				// back, so that it is counted only once
+				let res = await this.raw();
+				read = res.pipe(new PassThrough());
+				res.on('error', (e) => read.destroy(e));
+				read.once('close', () => res.destroy());
+				this.track(res, 0);
 				break;
+			}
 		}
 		if(!read) throw new NSError('Could not obtain dump data');
-		if(write) read.pipe(write);
-		return read.pipe(zlib.createGunzip());
+
+		// The gunzip stream is destroyed upon abortion, so do the same to its
+		// source in order to close the file or connection
+		let source = read;
+		this.activeSignal?.addEventListener('abort', () => source.destroy(),
+			{ once: true });
+		let ret = await decompress(read);
+
+		// Stop reading the source once the gunzip stream is gone, e.g. after
+		// stopping to stream early
+		ret.once('close', () => source.destroy());
+		return ret;
+	}
+
+	/**
+	 * Downloads the Dump into the local copy at
+	 * {@link DumpRequest#getFilePath}, replacing any existing one, without
+	 * parsing it. Makes **one** API request, regardless of the
+	 * {@link DumpMode}.
+	 *
+	 * The data is first written to a temporary `.part` file next to the local
+	 * copy, which only replaces the local copy once the download is complete
+	 * and decompresses without error. Should the download be interrupted, the
+	 * `.part` file is kept, and the next download resumes where it left off -
+	 * unless the Dump has changed on the NationStates servers in the meantime.
+	 * @returns {Promise<string>} Path to the local copy
+	 * @throws {CorruptDumpError} if the downloaded data is incomplete or
+	 *     doesn't decompress
+	 */
+	async download() {
+		return await this.guard(async (signal) => {
+			let file = this.getFilePath();
+			let part = file + '.part';
+			let meta = part + '.json';
+			fs.mkdirSync(path.dirname(file), { recursive: true });
+
+			// Ask only for the missing rest of a previous partial download
+			let offset = fs.existsSync(part) ? fs.statSync(part).size : 0;
+			let validator = offset > 0 ? readValidator(meta) : null;
+			if(validator) this.setHeader('Range', `bytes=${offset}-`)
+				.setHeader('If-Range', validator);
+
+			let res;
+			try {
+				res = await this.raw();
+			} finally {
+				this.removeHeader('Range').removeHeader('If-Range');
+			}
+
+			// The partial download can't be resumed, so start over
+			if(res.statusCode === 416) {
+				res.resume();
+				fs.rmSync(part, { force: true });
+				fs.rmSync(meta, { force: true });
+				return await this.download();
+			}
+			if(res.statusCode !== 206) offset = 0;
+
+			validator = res.headers['etag'] ?? res.headers['last-modified'];
+			if(validator) fs.writeFileSync(meta, JSON.stringify({ validator }));
+			else fs.rmSync(meta, { force: true });
+
+			let total = this.track(res, offset);
+			let onAbort = () => res.destroy(abortError(signal));
+			signal?.addEventListener('abort', onAbort, { once: true });
+			try {
+				await pipeline(res, fs.createWriteStream(part,
+					{ flags: offset > 0 ? 'a' : 'w' }));
+			} finally {
+				signal?.removeEventListener('abort', onAbort);
+			}
+
+			try {
+				let size = fs.statSync(part).size;
+				if(total !== null && size !== total) throw new CorruptDumpError(
+					`received ${size} of ${total} bytes`);
+				await pipeline(fs.createReadStream(part), zlib.createGunzip(),
+					new Writable({ write: (chunk, enc, next) => next() }))
+					.catch((e) => {
+						throw new CorruptDumpError(e.message);
+					});
+			} catch(e) {
+				fs.rmSync(part, { force: true });
+				fs.rmSync(meta, { force: true });
+				throw e;
+			}
+			fs.renameSync(part, file);
+			fs.rmSync(meta, { force: true });
+			return file;
+		});
+	}
+
+	/**
+	 * Additionally lets responses refusing to resume a partial download pass,
+	 * since {@link DumpRequest#download download} starts over upon them.
+	 * @inheritdoc
+	 * @override
+	 */
+	evaluateErrors(response) {
+		if(response.statusCode !== 416) super.evaluateErrors(response);
+	}
+
+	/**
+	 * Reports the progress of receiving the given response to the
+	 * {@link DumpRequest#progressListener progressListener}, if any.
+	 * @arg {import('./transport').TransportResponse} res Response to track
+	 * @arg {number} offset Number of bytes received before the response
+	 * @returns {?number} Total number of bytes expected; `null` if unknown
+	 * @private
+	 */
+	track(res, offset) {
+		let length = parseInt(res.headers['content-length']);
+		let total = isNaN(length) ? null : offset + length;
+		let received = offset;
+		if(this.progressListener) {
+			let listener = this.progressListener;
+			res.on('data', (chunk) => listener(received += chunk.length,
+				total));
+		}
+		return total;
+	}
+
+	/**
+	 * Creates the index of the objects within the local Dump copy, without
+	 * loading or building it yet.
+	 * @returns {DumpIndex} The index
+	 * @virtual
+	 * @protected
+	 */
+	createIndex() {
+		throw new VirtualError(this.createIndex, this.constructor);
+	}
+
+	/**
+	 * Gets the index of the objects within the local Dump copy, building it
+	 * first if it doesn't exist yet or the local copy has changed since. If
+	 * there is no local copy, it is downloaded first, unless the
+	 * {@link DumpMode} is {@link DumpMode.LOCAL}.
+	 * @returns {Promise<DumpIndex>} The loaded index
+	 * @throws {NSError} if a {@link DumpRequest#source source} is set
+	 */
+	async getIndex() {
+		if(this.source !== null)
+			throw new NSError('Cannot index dumps read from a custom source');
+		if(this.mode !== DumpMode.LOCAL && !fs.existsSync(this.getFilePath()))
+			await this.download();
+		return await this.createIndex().load();
+	}
+
+	/**
+	 * Reads the single object with the given key from the local Dump copy,
+	 * using the index from {@link DumpRequest#getIndex getIndex}. Only the
+	 * element of that object is parsed, so this is much faster than filtering
+	 * the whole Dump for it. The {@link DumpRequest#filter filter} does not
+	 * apply, but the {@link DumpRequest#fields fields} do.
+	 * @arg {string|number} key Key of the object
+	 * @returns {Promise<?object>} The object; `null` if the Dump doesn't
+	 *     contain it
+	 */
+	async lookup(key) {
+		let xml = await (await this.getIndex()).read(key);
+		if(xml === null) return null;
+
+		let ret = null;
+		await parseString(this.createFactory((obj) => ret = obj, () => true),
+			xml);
+		return ret;
+	}
+
+	/**
+	 * Creates the function instantiating the factory with which to parse the
+	 * Dump XML, applying the {@link DumpRequest#filter filter} and
+	 * {@link DumpRequest#fields fields}.
+	 * @arg {?Factory.FactoryConsumer<any>} consumer Function to hand each
+	 *     object to as soon as it is parsed; if `null`, all objects are
+	 *     collected into an array
+	 * @arg {Factory.FactoryDecider<any>} filter Filter to apply instead of the
+	 *     set one
+	 * @returns {Factory.FactoryConstructor<any[]>} The creation function
+	 * @virtual
+	 * @protected
+	 */
+	createFactory(consumer = null, filter = this.filter) {
+		throw new VirtualError(this.createFactory, this.constructor);
 	}
 
 	/**
@@ -228,10 +500,117 @@ class DumpRequest extends NSRequest {
 	 * @override
 	 */
 	async send() {
+		this.useFactory(this.createFactory());
 		return await super.send();
 	}
+
+	/**
+	 * Executes this request according to the set {@link DumpMode}, yielding
+	 * each parsed object satisfying the {@link DumpRequest#filter filter} as
+	 * soon as it is complete, instead of collecting all of them first like
+	 * {@link DumpRequest#send send} does. Reading the Dump is paused while
+	 * objects are waiting to be consumed, so that only a few of them are ever
+	 * held in memory at once.
+	 * 
+	 * If the consumer stops iterating early, reading the Dump is stopped.
+	 * @returns {AsyncGenerator<object>} The parsed objects
+	 */
+	async *stream() {
+		const linked = this.signal || this.timeLimit !== null
+			? link(this.signal, this.timeLimit)
+			: null;
+		const signal = linked?.signal ?? null;
+		this.activeSignal = signal;
+
+		/** @type {object[]} */
+		let queue = [];
+		let done = false;
+		let failure = null;
+		let wake = null;
+		let notify = () => {
+			wake?.();
+			wake = null;
+		};
+
+		let res = null;
+		let parser = new Parser();
+		let onAbort = () => {
+			failure = abortError(signal);
+			notify();
+		};
+		try {
+			res = await this.getStream();
+			if(!res) throw new NSError('Could not obtain XML stream');
+
+			// Pause reading once enough objects are waiting to be consumed
+			let create = this.createFactory((obj) => {
+				queue.push(obj);
+				if(queue.length >= highWaterMark) res.pause();
+				notify();
+			});
+			let factory = null;
+			parser.on('opentag', (name, attrs) => {
+				if(!factory) factory = create(attrs);
+				else factory.handleOpen(name, attrs);
+			});
+			parser.on('closetag', (name) => factory?.handleClose(name));
+			parser.on('text', (text) => factory?.handleText(text));
+			parser.on('cdata', (cdata) => factory?.handleCData(cdata));
+			parser.on('error', (err) => {
+				failure = err;
+				notify();
+			});
+			parser.on('finish', () => {
+				done = true;
+				notify();
+			});
+			res.on('error', (err) => {
+				failure = err;
+				notify();
+			});
+			signal?.addEventListener('abort', onAbort, { once: true });
+			res.pipe(parser);
+
+			for(;;) {
+				if(failure) throw failure;
+				if(queue.length > 0) {
+					yield queue.shift();
+					continue;
+				}
+				if(done) return;
+				res.resume();
+				await new Promise((resolve) => wake = resolve);
+			}
+		} finally {
+			signal?.removeEventListener('abort', onAbort);
+			if(res && !done) {
+				res.unpipe(parser);
+				res.destroy();
+			}
+			linked?.release();
+			this.activeSignal = null;
+		}
+	}
+
+	/**
+	 * Allows iterating over this request via `for await`, equivalent to
+	 * iterating over the return value of {@link DumpRequest#stream stream}.
+	 * @returns {AsyncGenerator<object>} The parsed objects
+	 */
+	[Symbol.asyncIterator]() {
+		return this.stream();
+	}
 }
 
+/**
+ * Number of parsed objects that may be waiting to be consumed before reading
+ * a streamed Dump is paused.
+ * @type {number}
+ * @default 64
+ * @ignore
+ */
+const highWaterMark = 64;
+
 /**
  * Superclass for date-dependent Data Dump requests.
  */
@@ -259,13 +638,117 @@ class DateDumpRequest extends DumpRequest {
 		if(date instanceof Date) this.date = date;
 		return this;
 	}
+
+	/**
+	 * Name of the top-level elements of the Dump XML, e.g. `NATION`.
+	 * @type {string}
+	 * @protected
+	 */
+	element;
+
+	/**
+	 * Number of worker threads to parse the Dump with; `0` to parse it on the
+	 * main thread.
+	 * @type {number}
+	 * @private
+	 */
+	workers = 0;
+
+	/**
+	 * Configure the number of worker threads to parse the Dump with. The main
+	 * thread then only splits the decompressed Dump XML into chunks of
+	 * complete nations or regions, which the worker threads parse in
+	 * parallel. The objects are still returned or yielded in the order of the
+	 * Dump, and the {@link DumpRequest#filter filter} is still applied on the
+	 * main thread, so it may use anything in scope there.
+	 *
+	 * Reading the Dump is paused while each worker thread has two chunks to
+	 * parse or waiting to be consumed, so that memory use stays bounded.
+	 * @arg {number} count Number of worker threads to use; `0` to not use any
+	 * @returns {this} The request, for chaining
+	 */
+	setWorkers(count) {
+		if(!Number.isInteger(count) || count < 0)
+			throw new TypeError('Invalid worker count: ' + count);
+		this.workers = count;
+		return this;
+	}
+
+	/**
+	 * If worker threads are used, collects the objects yielded by
+	 * {@link DateDumpRequest#stream stream}.
+	 * @inheritdoc
+	 */
+	async send() {
+		if(this.workers === 0) return await super.send();
+		let ret = [];
+		for await (let obj of this.stream()) ret.push(obj);
+		return ret;
+	}
+
+	/**
+	 * If worker threads are used, the objects are parsed by them, as
+	 * configured via {@link DateDumpRequest#setWorkers setWorkers}.
+	 * @inheritdoc
+	 */
+	async *stream() {
+		if(this.workers === 0) return yield* super.stream();
+
+		const linked = this.signal || this.timeLimit !== null
+			? link(this.signal, this.timeLimit)
+			: null;
+		const signal = linked?.signal ?? null;
+		this.activeSignal = signal;
+
+		let pool = new DumpWorkerPool(this.workers, this.element, this.fields);
+		/** @type {Promise<object[]>[]} */
+		let pending = [];
+		let res = null;
+		let onAbort = () => {
+			res?.destroy(abortError(signal));
+			pool.terminate();
+		};
+		try {
+			signal?.addEventListener('abort', onAbort, { once: true });
+			res = await this.getStream();
+			let chunks = split(res, this.element);
+			for(;;) {
+				// Only read on while not all workers have enough chunks
+				while(pending.length < this.workers * 2) {
+					let next = await chunks.next();
+					if(next.done) break;
+					let task = pool.run(next.value);
+					task.catch(() => {});	// Handled once it is awaited
+					pending.push(task);
+				}
+				if(pending.length === 0) return;
+				for(let obj of await pending.shift()) {
+					if(signal?.aborted) throw abortError(signal);
+					if(this.filter(obj)) yield obj;
+				}
+			}
+		} catch(e) {
+			if(signal?.aborted) throw abortError(signal);
+			throw e;
+		} finally {
+			signal?.removeEventListener('abort', onAbort);
+			res?.destroy();
+			await pool.terminate();
+			linked?.release();
+			this.activeSignal = null;
+		}
+	}
 }
 
 /**
  * Request subclass for reading Daily Data Dumps of nations.
  */
 class NationDumpRequest extends DateDumpRequest {
+	/** @inheritdoc */
+	element = 'NATION';
+
 	/**
+	 * Default way of naming local copies of the Nations Daily Data Dump.
 	 * @type {FileNamerNormal}
 	 * @package
 	 */
@@ -284,8 +767,9 @@ class NationDumpRequest extends DateDumpRequest {
 
 	/** @inheritdoc */
 	getFilePath() {
-		return path.join(DumpRequest.directory,
-			NationDumpRequest.filename(this.date));
+		const client = this.getClient();
+		return path.join(client.dumpDirectory,
+			client.dumpNameNation(this.date));
 	}
 
 	/**
@@ -302,16 +786,48 @@ class NationDumpRequest extends DateDumpRequest {
 	 * @inheritdoc
 	 */
 	async send() {
-		this.useFactory(DumpNation.createArray(this.filter))
 		return await super.send();
 	}
+
+	/**
+	 * Only nations fulfilling the `filter` are yielded.
+	 * @returns {AsyncGenerator<types.DumpNation>}
+	 * @inheritdoc
+	 */
+	async *stream() {
+		yield* super.stream();
+	}
+
+	/**
+	 * @arg {string} key Name of the nation
+	 * @returns {Promise<?types.DumpNation>}
+	 * @inheritdoc
+	 */
+	async lookup(key) {
+		return await super.lookup(key);
+	}
+
+	/** @inheritdoc */
+	createIndex() {
+		return new DumpIndex(this.getFilePath(), this.element, 'NAME',
+			toIDForm);
+	}
+
+	/** @inheritdoc */
+	createFactory(consumer = null, filter = this.filter) {
+		return DumpNation.createArray(filter, consumer, this.fields);
+	}
 }
 
 /**
  * Request subclass for reading Daily Data Dumps of regions.
  */
 class RegionDumpRequest extends DateDumpRequest {
+	/** @inheritdoc */
+	element = 'REGION';
+
 	/**
+	 * Default way of naming local copies of the Regions Daily Data Dump.
 	 * @type {FileNamerNormal}
 	 * @package
 	 */
@@ -330,8 +846,9 @@ class RegionDumpRequest extends DateDumpRequest {
 
 	/** @inheritdoc */
 	getFilePath() {
-		return path.join(DumpRequest.directory,
-			RegionDumpRequest.filename(this.date));
+		const client = this.getClient();
+		return path.join(client.dumpDirectory,
+			client.dumpNameRegion(this.date));
 	}
 
 	/**
@@ -348,9 +865,37 @@ class RegionDumpRequest extends DateDumpRequest {
 	 * @inheritdoc
 	 */
 	async send() {
-		this.useFactory(DumpRegion.createArray(this.filter))
 		return await super.send();
 	}
+
+	/**
+	 * Only regions fulfilling the `filter` are yielded.
+	 * @returns {AsyncGenerator<types.DumpRegion>}
+	 * @inheritdoc
+	 */
+	async *stream() {
+		yield* super.stream();
+	}
+
+	/**
+	 * @arg {string} key Name of the region
+	 * @returns {Promise<?types.DumpRegion>}
+	 * @inheritdoc
+	 */
+	async lookup(key) {
+		return await super.lookup(key);
+	}
+
+	/** @inheritdoc */
+	createIndex() {
+		return new DumpIndex(this.getFilePath(), this.element, 'NAME',
+			toIDForm);
+	}
+
+	/** @inheritdoc */
+	createFactory(consumer = null, filter = this.filter) {
+		return DumpRegion.createArray(filter, consumer, this.fields);
+	}
 }
 
 /**
@@ -358,6 +903,7 @@ class RegionDumpRequest extends DateDumpRequest {
  */
 class CardDumpRequest extends DumpRequest {
 	/**
+	 * Default way of naming local copies of the Cards Seasonal Data Dump.
 	 * @type {FileNamerCard}
 	 * @package
 	 */
@@ -382,8 +928,9 @@ class CardDumpRequest extends DumpRequest {
 
 	/** @inheritdoc */
 	getFilePath() {
-		return path.join(DumpRequest.directory,
-			CardDumpRequest.filename(this.season));
+		const client = this.getClient();
+		return path.join(client.dumpDirectory,
+			client.dumpNameCard(this.season));
 	}
 
 	/**
@@ -400,9 +947,36 @@ class CardDumpRequest extends DumpRequest {
 	 * @inheritdoc
 	 */
 	async send() {
-		this.useFactory(DumpCard.createArray(this.filter))
 		return await super.send();
 	}
+
+	/**
+	 * Only cards fulfilling the `filter` are yielded.
+	 * @returns {AsyncGenerator<types.DumpCard>}
+	 * @inheritdoc
+	 */
+	async *stream() {
+		yield* super.stream();
+	}
+
+	/**
+	 * @arg {number} key ID of the card
+	 * @returns {Promise<?types.DumpCard>}
+	 * @inheritdoc
+	 */
+	async lookup(key) {
+		return await super.lookup(key);
+	}
+
+	/** @inheritdoc */
+	createIndex() {
+		return new DumpIndex(this.getFilePath(), 'CARD', 'ID');
+	}
+
+	/** @inheritdoc */
+	createFactory(consumer = null, filter = this.filter) {
+		return DumpCard.createArray(filter, consumer, this.fields);
+	}
 }
 
 /**
@@ -442,6 +1016,58 @@ const DumpMode = {
 	REMOTE: 4
 };
 
+/**
+ * Pipes the given stream of Dump data through a `zlib.Gunzip` stream if the
+ * data is gzip-compressed, as recognised by its first two bytes.
+ * @arg {Readable} read Stream of the Dump data
+ * @returns {Promise<Readable>} Stream of the decompressed data
+ * @ignore
+ */
+function decompress(read) {
+	return new Promise((resolve, reject) => {
+		let done = (head) => {
+			read.off('readable', onReadable);
+			read.off('end', onEnd);
+			read.off('error', reject);
+			read.off('close', onClose);
+			if(head !== null) read.unshift(head);
+			if(head?.[0] !== 0x1f || head[1] !== 0x8b) return resolve(read);
+
+			// Piping doesn't forward errors of the source, e.g. if the
+			// connection drops, so pass them on to the gunzip stream
+			let gunzip = zlib.createGunzip();
+			read.on('error', (e) => gunzip.destroy(e));
+			resolve(read.pipe(gunzip));
+		};
+		let onReadable = () => {
+			let head = read.read();
+			if(head !== null) done(head);
+		};
+		let onEnd = () => done(null);
+		let onClose = () => reject(new NSError('Could not obtain dump data'));
+		read.on('readable', onReadable);
+		read.once('end', onEnd);
+		read.once('error', reject);
+		read.once('close', onClose);
+	});
+}
+
+/**
+ * Reads the value identifying the version of the Dump that a partial download
+ * is of, as stored next to the partial download.
+ * @arg {string} file Path to the file storing the value
+ * @returns {?string} The value; `null` if none is stored
+ * @ignore
+ */
+function readValidator(file) {
+	try {
+		let ret = JSON.parse(fs.readFileSync(file, 'utf-8')).validator;
+		return typeof ret === 'string' ? ret : null;
+	} catch(e) {
+		return null;
+	}
+}
+
 /* === Date Handling === */
 // Or, Why is there no a generic pattern-based date formatter like in Java? :(
 
@@ -10,28 +10,19 @@
  * @module nationscript/requests/misc
  */
 
-const { IncomingMessage } = require('node:http');
-
 const { NSError } = require('../errors');
 const {
 	NSRequest,
 	DataRequest,
-	toIDForm
+	toIDForm,
+	streamToString
 } = require('./base');
-const RateLimit = require('./ratelimit');
 
 /**
  * Request subclass for building requests to the telegrams API.
  */
 class TGRequest extends DataRequest {
 
-	/**
-	 * The TG client key to use when executing telegram requests.
-	 * @type {string}
-	 * @package
-	 */
-	static client;
-
 	/**
 	 * Declares whether the TG being sent via this request is a recruitment
 	 * telegram.
@@ -42,13 +33,28 @@ class TGRequest extends DataRequest {
 
 	/**
 	 * Additionally {@link DataRequest#mandate mandate}s the `a`, tgid`, `key`,
-	 * `to`, and `client` arguments and sets the `a` and `client` arguments.
+	 * `to`, and `client` arguments and sets the `a` argument. Since a failed
+	 * attempt may still have delivered the telegram, the request is never
+	 * retried.
 	 */
 	constructor() {
 		super();
 		this.mandate('a', 'client', 'tgid', 'key', 'to')
-			.setArgument('a', 'sendTG')
-			.setArgument('client', TGRequest.client);
+			.setArgument('a', 'sendTG');
+		this.coalescible = false;
+		this.retryable = false;
+	}
+
+	/**
+	 * Additionally sets the `client` argument to the TG client key of the
+	 * client, if it has one.
+	 * @inheritdoc
+	 */
+	useClient(client) {
+		super.useClient(client);
+		if(typeof client.tgClient === 'string')
+			this.setArgument('client', client.tgClient);
+		return this;
 	}
 
 	/**
@@ -85,8 +91,12 @@ class TGRequest extends DataRequest {
 
 	/** @inheritdoc */
 	async raw() {
-		if(NSRequest.useRateLimit) await RateLimit.enforceTG(this.recruitment);
-		return await super.raw();
+		const client = this.getClient();
+		return await this.guard(async (signal) => {
+			if(client.useRateLimit)
+				await client.rateLimiter.enforceTG(this.recruitment, signal);
+			return await super.raw();
+		});
 	}
 
 	/**
@@ -96,7 +106,8 @@ class TGRequest extends DataRequest {
 	 * @override
 	 */
 	async send() {
-		let res = (await streamToString(await this.raw())).toString().trim();
+		let res = (await this.guard(async (signal) =>
+			await streamToString(await this.raw(), signal))).trim();
 		if(res == 'queued') return true;
 		else return false;
 	}
@@ -123,7 +134,8 @@ class UserAgentRequest extends DataRequest {
 	 * @override
 	 */
 	async send() {
-		let res = await streamToString(await this.raw());
+		let res = await this.coalesce(() => this.guard(async (signal) =>
+			await streamToString(await this.raw(), signal)));
 		if(typeof res !== 'string') throw new NSError('Invalid API response');
 
 		// The API response leads with some uninteresting text and trails an
@@ -153,26 +165,11 @@ class VersionRequest extends DataRequest {
 	 * @override
 	 */
 	async send() {
-		return parseInt(await streamToString(await this.raw()));
+		return parseInt(await this.coalesce(() => this.guard(async (signal) =>
+			await streamToString(await this.raw(), signal))));
 	}
 }
 
-/**
- * Reads the given streamed response, recording its contents as text and
- * returning it once the stream ends.
- * @arg {IncomingMessage} stream API response to parse
- * @returns {Promise<string>} Text data received from the stream
- * @see https://stackoverflow.com/questions/10623798
- */
-function streamToString(stream) {
-	let ret = [];
-	return new Promise((resolve, reject) => {
-		stream.on('data', (data) => ret.push(Buffer.from(data)));
-		stream.on('error', (e) => reject(e));
-		stream.on('end', () => resolve(Buffer.concat(ret).toString('utf-8')));
-	});
-}
-
 exports.TGRequest = TGRequest;
 exports.VersionRequest = VersionRequest;
 exports.UserAgentRequest = UserAgentRequest;
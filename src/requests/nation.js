@@ -34,6 +34,12 @@ const Nation = require('../type/nation');
  * and the {@link NSCredential#pin pin} stays up-to-date.
  */
 class NationRequest extends ShardableRequest {
+	/** @inheritdoc */
+	endpoint = 'nation';
+
+	/** @inheritdoc */
+	batchable = true;
+
 	/**
 	 * @arg {string} nation Name of the nation to request data on
 	 */
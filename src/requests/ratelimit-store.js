@@ -0,0 +1,286 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+/**
+ * Provides the stores in which rate-limiters keep their records.
+ * @module nationscript/requests/ratelimit-store
+ */
+
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const {
+	NSError,
+	VirtualError
+} = require('../errors');
+
+/**
+ * The records a rate-limiter keeps on the requests made to the NS API.
+ * @typedef RateLimitState
+ * @prop {number} sent Number of requests sent in the current time window
+ * @prop {number} expires Timestamp of when the current time window expires
+ * @prop {number} retry Timestamp until which the API demanded requests to be
+ *     held back
+ * @prop {number} last Timestamp of when the last telegram was sent
+ */
+/**
+ * @template T
+ * @callback StateModifier
+ * Inspects and modifies the given state in place.
+ * @arg {RateLimitState} state The current state
+ * @returns {T} Any result of the inspection
+ */
+
+/**
+ * Creates the state of a rate-limiter that has not made any requests yet.
+ * @returns {RateLimitState} The initial state
+ * @ignore
+ */
+function initialState() {
+	return {
+		sent: 0,
+		expires: 0,
+		retry: 0,
+		last: 0
+	};
+}
+
+/**
+ * Superclass for all rate-limit stores. A store holds the
+ * {@link RateLimitState} of a {@link RateLimiter} and guarantees that each
+ * modification of it is atomic, so that the state can be shared by several
+ * rate-limiters.
+ */
+class RateLimitStore {
+	/**
+	 * Applies the given modifier to the stored state. No other modification
+	 * may happen between the modifier reading and it writing the state.
+	 * @template T
+	 * @arg {StateModifier<T>} modifier Modifier to apply
+	 * @returns {Promise<T>} The result of the modifier
+	 * @virtual
+	 */
+	async modify(modifier) {
+		throw new VirtualError(this.modify, this.constructor);
+	}
+}
+
+/**
+ * The default store, keeping the state in memory. It can only be shared by
+ * rate-limiters within the same process.
+ */
+class MemoryRateLimitStore extends RateLimitStore {
+	/**
+	 * The stored state.
+	 * @type {RateLimitState}
+	 * @private
+	 */
+	state = initialState();
+
+	/** @inheritdoc */
+	async modify(modifier) {
+		return modifier(this.state);
+	}
+}
+
+/**
+ * A store keeping the state in a JSON file, so that it can be shared by
+ * rate-limiters in different processes on the same machine - for example if
+ * several scripts make requests on behalf of the same user.
+ *
+ * Modifications are guarded by a lock file next to the state file, which is
+ * created exclusively by the modifying process and removed afterwards. Should
+ * a process crash while holding the lock, the lock is considered stale after
+ * a while and broken by the next process: it atomically renames the stale
+ * lock aside and then competes for a new one like any other process. Only one
+ * process at a time may break a lock, guarded by another exclusively created
+ * file, so that no process can mistake a lock another one just created for
+ * the stale one. The state file itself is replaced atomically, so it can
+ * never be read half-written.
+ */
+class FileRateLimitStore extends RateLimitStore {
+	/**
+	 * Path to the file containing the state.
+	 * @type {string}
+	 * @private
+	 */
+	file;
+
+	/**
+	 * Path to the lock file guarding the state file.
+	 * @type {string}
+	 * @private
+	 */
+	lock;
+
+	/**
+	 * Path to the file guarding the breaking of stale lock files.
+	 * @type {string}
+	 * @private
+	 */
+	breaker;
+
+	/**
+	 * Number of milliseconds after which a lock file is considered stale.
+	 * @type {number}
+	 * @private
+	 */
+	stale;
+
+	/**
+	 * @arg {string} file Path to the file to keep the state in; created along
+	 *     with its directory if they don't exist yet
+	 * @arg {number} stale Number of milliseconds after which a lock file left
+	 *     behind by a crashed process is broken; defaults to `10000`
+	 */
+	constructor(file, stale = 10000) {
+		super();
+		if(typeof file !== 'string')
+			throw new TypeError('Invalid path: ' + file);
+		if(typeof stale !== 'number' || stale <= 0)
+			throw new TypeError('Invalid stale lock period: ' + stale);
+		this.file = path.resolve(file);
+		this.lock = this.file + '.lock';
+		this.breaker = this.file + '.break';
+		this.stale = stale;
+		fs.mkdirSync(path.dirname(this.file), { recursive: true });
+	}
+
+	/** @inheritdoc */
+	async modify(modifier) {
+		let token = await this.acquire();
+		try {
+			let state = this.read();
+			let ret = modifier(state);
+			this.write(state);
+			return ret;
+		} finally {
+			this.release(token);
+		}
+	}
+
+	/**
+	 * Waits until the lock file can be created exclusively by this process.
+	 * @returns {Promise<string>} Token identifying this process's lock, as
+	 *     written into the lock file
+	 * @private
+	 */
+	async acquire() {
+		let token = `${process.pid}:${crypto.randomUUID()}`;
+		for(;;) {
+			try {
+				fs.writeFileSync(this.lock, token, { flag: 'wx' });
+				return token;
+			} catch(e) {
+				if(e.code !== 'EEXIST') throw e;
+			}
+
+			// Break the lock if its holder apparently crashed
+			if(this.isStale(this.lock) && this.breakLock()) continue;
+			await new Promise((resolve) =>
+				setTimeout(resolve, 5 + Math.random() * 20));
+		}
+	}
+
+	/**
+	 * Removes the lock file, provided it is still the one created with the
+	 * given token.
+	 * @arg {string} token Token identifying this process's lock
+	 * @private
+	 */
+	release(token) {
+		try {
+			if(fs.readFileSync(this.lock, 'utf-8') === token)
+				fs.rmSync(this.lock, { force: true });
+		} catch(e) {
+			if(e.code !== 'ENOENT') throw e;
+		}
+	}
+
+	/**
+	 * Moves the lock file aside and deletes it, provided it is still stale.
+	 * Only the process holding the breaker file may do so; if another one
+	 * holds it, this does nothing, since that one breaks the lock already.
+	 * @returns {boolean} `true` if the lock was broken
+	 * @private
+	 */
+	breakLock() {
+		try {
+			fs.writeFileSync(this.breaker, '', { flag: 'wx' });
+		} catch(e) {
+			if(e.code !== 'EEXIST') throw e;
+
+			// The breaker file can only be left behind by a crashed process
+			if(this.isStale(this.breaker)) fs.rmSync(this.breaker,
+				{ force: true });
+			return false;
+		}
+		try {
+			// Check again, since the lock may have been broken and created
+			// anew before this process got hold of the breaker file
+			if(!this.isStale(this.lock)) return false;
+			let aside = `${this.lock}.${process.pid}.${crypto.randomUUID()}`;
+			fs.renameSync(this.lock, aside);
+			fs.rmSync(aside, { force: true });
+			return true;
+		} catch(e) {
+			if(e.code !== 'ENOENT') throw e;
+			return false;
+		} finally {
+			fs.rmSync(this.breaker, { force: true });
+		}
+	}
+
+	/**
+	 * Checks whether the given file was last modified longer ago than the
+	 * {@link FileRateLimitStore#stale stale} period.
+	 * @arg {string} file Path to the file
+	 * @returns {boolean} `true` if it is stale; `false` if it is not or
+	 *     doesn't exist
+	 * @private
+	 */
+	isStale(file) {
+		try {
+			return Date.now() - fs.statSync(file).mtimeMs > this.stale;
+		} catch(e) {
+			if(e.code === 'ENOENT') return false;
+			throw e;
+		}
+	}
+
+	/**
+	 * Reads the state from the state file.
+	 * @returns {RateLimitState} The state; the initial state if the file does
+	 *     not exist yet
+	 * @private
+	 */
+	read() {
+		let ret = initialState();
+		if(!fs.existsSync(this.file)) return ret;
+		try {
+			return Object.assign(ret,
+				JSON.parse(fs.readFileSync(this.file, 'utf-8')));
+		} catch(e) {
+			throw new NSError('Corrupt rate-limit state file: ' + this.file);
+		}
+	}
+
+	/**
+	 * Atomically replaces the state file with one containing the given state.
+	 * @arg {RateLimitState} state State to write
+	 * @private
+	 */
+	write(state) {
+		let temp = `${this.file}.${process.pid}.tmp`;
+		fs.writeFileSync(temp, JSON.stringify(state));
+		fs.renameSync(temp, this.file);
+	}
+}
+
+exports.RateLimitStore = RateLimitStore;
+exports.MemoryRateLimitStore = MemoryRateLimitStore;
+exports.FileRateLimitStore = FileRateLimitStore;
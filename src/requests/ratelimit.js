@@ -9,46 +9,37 @@
  * @module nationscript/request/ratelimit
  */
 
+const { EventEmitter } = require('node:events');
 const http = require('node:http');
 
-/* === Normal Requests === */
+const {
+	abortError,
+	checkAborted,
+	createController,
+	timeout
+} = require('./abort');
+const {
+	RateLimitStore,
+	MemoryRateLimitStore
+} = require('./ratelimit-store');
 
 /**
- * Number of milliseconds treated as one time window by the NS API.
- * @type {number}
- * @default 30000
+ * @typedef {import('./ratelimit-store').RateLimitState} RateLimitState
  * @ignore
  */
-let period = 30000
-
 /**
- * Total number of requests that may be made within one time window.
- * @type {number}
- * @default 49
- * @ignore
- */
-let amount = 49	// Leave space for one TG request
-
-/**
- * Number of requests sent to the API in the current time window.
- * @type {number}
- * @ignore
- */
-let sent = 0
-
-/**
- * Number of requests currently waiting for the active time window to expire.
- * @type {number}
+ * @template T
+ * @typedef {import('./ratelimit-store').StateModifier<T>} StateModifier
  * @ignore
  */
-let queued = 0
 
 /**
- * Timestamp of when the active time window expires.
+ * Number of milliseconds treated as one time window by the NS API.
  * @type {number}
+ * @default 30000
  * @ignore
  */
-let expires = 0
+const period = 30000
 
 /**
  * Number of milliseconds to add to time window calculations as safety buffer.
@@ -59,141 +50,525 @@ let expires = 0
 const buffer = 200
 
 /**
- * Timestamp of when a new time window starts, as stated by the API.
+ * Number of milliseconds that must have elapsed since a telegram was sent if a
+ * recruitment telegram is to be sent next.
  * @type {number}
+ * @default 180000
  * @ignore
  */
-let retry = 0
+const recruitment = 180000
 
 /**
- * Pauses execution for the specified amount of time if `await`ed.
- * @arg {number} period Number of milliseconds to pause
+ * Number of milliseconds that must have elapsed since a telegram was sent if a
+ * non-recruitment telegram is to be sent next.
+ * @type {number}
+ * @default 30000
  * @ignore
  */
-async function timeout(period) {
-	return new Promise((resolve) => setTimeout(resolve, Math.max(0, period)));
-}
+const standard = 30000
 
 /**
- * Updates the rate-limiters records with data supplied by the API.
- * @arg {http.IncomingHttpHeaders} data Headers returned
+ * Lanes in which requests wait for their release by a {@link RateLimiter}.
+ * Requests in a higher lane are released before any in a lower lane, unless
+ * the latter have been waiting for too long.
+ * @enum {number}
  */
-function update(data) {
-	let apiLimit = data['ratelimit-limit']
-	if(typeof apiLimit !== 'string') return;
-	amount = parseInt(apiLimit) - 1;
+const Priority = {
+	/**
+	 * For requests someone is actively waiting for, such as commands.
+	 */
+	INTERACTIVE: 0,
 
-	let apiRemaining = data['ratelimit-remaining'];
-	if(typeof apiRemaining !== 'string') return;
-	let apiSent = amount - parseInt(apiRemaining) + 1;
-	if(sent < apiSent) sent = apiSent;
+	/**
+	 * The default lane for requests.
+	 */
+	NORMAL: 1,
 
-	let apiExpire = data['ratelimit-reset'];
-	if(typeof apiExpire !== 'string') return;
-	let apiReset = parseInt(apiExpire) * 1000;	// is returned in seconds
-	if(expires < apiReset) expires = apiReset;
+	/**
+	 * For background work, such as fetching large numbers of nations.
+	 */
+	BULK: 2
 }
 
 /**
- * Enforces compliance with the API's general rate-limit.
+ * Keeps track of the requests made to the NS API and paces further requests
+ * so that they comply with the API's rate-limits.
+ * 
+ * Each {@link NSClient} holds its own instance, so independent clients within
+ * the same process don't share their records - unless they are explicitly
+ * configured to use the same rate-limiter via
+ * {@link NSClient#setRateLimiter}. The records themselves are kept in a
+ * {@link RateLimitStore}, which, if it is shared, allows rate-limiters in
+ * different processes to pace their requests together.
  * 
- * Depending on how many requests have been sent to the NS API in the current
- * time window already, further execution is paused for an appropriate amount
- * of time, until a new request can be made again safely.
- */
-async function enforce() {
-	let now = Date.now();
-
-	// Activation of a new time window by the current request
-	if(now > expires) {
-		expires = now + period + buffer;
-		sent = 1;
-		queued = 0;
-		return;
+ * To allow for monitoring how close the requests come to the rate-limits, the
+ * rate-limiter emits events whenever it lets a request pass or holds it back,
+ * and its current records can be inspected via
+ * {@link RateLimiter#getStatus getStatus}.
+ * @fires RateLimiter#scheduled
+ * @fires RateLimiter#delayed
+ * @fires RateLimiter#reset
+ * @fires RateLimiter#ratelimited
+ * @fires RateLimiter#tgThrottled
+ */
+class RateLimiter extends EventEmitter {
+
+	/**
+	 * The store containing the records of this rate-limiter.
+	 * @type {RateLimitStore}
+	 * @private
+	 */
+	store;
+
+	/**
+	 * The store containing the records of this rate-limiter on telegrams.
+	 * @type {RateLimitStore}
+	 * @private
+	 */
+	tgStore;
+
+	/**
+	 * Number of milliseconds after which a waiting request is released before
+	 * any requests in higher {@link Priority} lanes, so that requests in lower
+	 * lanes are not held back indefinitely.
+	 * @type {number}
+	 * @default 60000
+	 * @private
+	 */
+	patience;
+
+	/**
+	 * @arg {RateLimitStore} store Store to keep the records in; by default,
+	 *     they are kept in memory
+	 * @arg {number} patience Number of milliseconds after which a waiting
+	 *     request takes precedence regardless of its priority; defaults to
+	 *     `60000`
+	 * @arg {RateLimitStore} tgStore Store to keep the records on telegrams in;
+	 *     by default, the same as for all other records. A persistent store,
+	 *     such as a {@link FileRateLimitStore}, keeps the telegram pacing
+	 *     intact across restarts of the process
+	 */
+	constructor(store = new MemoryRateLimitStore(), patience = 60000,
+		tgStore = store) {
+		super();
+		if(!(store instanceof RateLimitStore))
+			throw new TypeError('Invalid rate-limit store: ' + store);
+		if(typeof patience !== 'number' || patience < 0)
+			throw new TypeError('Invalid patience: ' + patience);
+		if(!(tgStore instanceof RateLimitStore))
+			throw new TypeError('Invalid rate-limit store: ' + tgStore);
+		this.store = store;
+		this.patience = patience;
+		this.tgStore = tgStore;
 	}
 
-	// Current request would not exceed the number of allowed requests
-	if(sent < amount) {
-		sent += 1;
-		return;
+	/**
+	 * Copy of the records as last seen in the {@link RateLimiter#store store}
+	 * and {@link RateLimiter#tgStore tgStore}.
+	 * @type {RateLimitState}
+	 * @private
+	 */
+	known = { sent: 0, expires: 0, retry: 0, last: 0 };
+
+	/**
+	 * Applies the given modifier to the records in the
+	 * {@link RateLimiter#store store}, or the
+	 * {@link RateLimiter#tgStore tgStore}, keeping a copy of the result.
+	 * @template T
+	 * @arg {StateModifier<T>} modifier Modifier to apply
+	 * @arg {boolean} tg `true` to modify the records on telegrams
+	 * @returns {Promise<T>} The result of the modifier
+	 * @private
+	 */
+	async modify(modifier, tg = false) {
+		return await (tg ? this.tgStore : this.store).modify((state) => {
+			let ret = modifier(state);
+			if(tg) this.known.last = state.last;
+			else this.known = Object.assign({}, state, {
+				last: this.known.last
+			});
+			return ret;
+		});
 	}
 
-	/*
-	 * If the maximum number of requests has been reached for the current time
-	 * window, a queue of requests is calculated:
-	 * - Firstly, check whether the current queue would take up one more whole
-	 *   time window, and if so, register a new expiration date to account for
-	 *   this new window.
-	 * - Then, wait until the next free time window begins.
-	 * - If there was a rate-limit excess in the meantime and a retry time has
-	 *   been set, repeat the above steps (effectively, request is re-queued at
-	 *   the end of the current queue).
-	 */
-	let windowQueue;
-	do {
-		windowQueue = queued % amount;
-		if(windowQueue === 0) expires += period + buffer;
-
-		queued += 1;
-		await timeout(expires - period - now);
-		queued -= 1;
-	} while (retry > (now = Date.now()))
-
-	// Release only 4 requests per second so the API isn't completely spammed
-	sent = sent % amount + 1;
-	await timeout(windowQueue * 250);
-}
+	/**
+	 * Creates a snapshot of this rate-limiter's records. With a store shared
+	 * across processes, the records are only as recent as the last request
+	 * this rate-limiter handled.
+	 * @returns {RateLimitStatus} The current status
+	 */
+	getStatus() {
+		let now = Date.now();
+		let active = this.known.expires >= now;
+		return {
+			limit: this.amount,
+			remaining: active
+				? Math.max(0, this.amount - this.known.sent)
+				: this.amount,
+			queued: this.countWaiting(),
+			expires: active ? this.known.expires : null,
+			retry: this.known.retry > now ? this.known.retry : null,
+			nextTG: Math.max(now, this.known.last + standard),
+			nextRecruitTG: Math.max(now, this.known.last + recruitment)
+		};
+	}
+
+
+	/* === Normal Requests === */
+
+	/**
+	 * Total number of requests that may be made within one time window.
+	 * @type {number}
+	 * @default 49
+	 * @private
+	 */
+	amount = 49	// Leave space for one TG request
+
+	/**
+	 * Requests currently waiting for their release, with one list per
+	 * {@link Priority} lane, each in order of arrival.
+	 * @type {Waiter[][]}
+	 * @private
+	 */
+	lanes = Object.values(Priority).map(() => [])
 
+	/**
+	 * Whether the {@link RateLimiter#lanes lanes} are currently being released.
+	 * @type {boolean}
+	 * @private
+	 */
+	releasing = false
+
+	/**
+	 * Controller to cut short the pause of the release loop with, should the
+	 * {@link RateLimiter#lanes lanes} run empty during it.
+	 * @type {?AbortController}
+	 * @private
+	 */
+	pause = null
 
-/* === TG Requests === */
+	/**
+	 * Updates the rate-limiters records with data supplied by the API.
+	 * @arg {http.IncomingHttpHeaders} data Headers returned
+	 * @returns {Promise<void>}
+	 */
+	async update(data) {
+		let apiLimit = data['ratelimit-limit']
+		if(typeof apiLimit !== 'string') return;
+		this.amount = parseInt(apiLimit) - 1;
+
+		let apiRemaining = data['ratelimit-remaining'];
+		if(typeof apiRemaining !== 'string') return;
+		let apiSent = this.amount - parseInt(apiRemaining) + 1;
+
+		// The reset is returned as the number of seconds left in the window
+		let apiExpire = data['ratelimit-reset'];
+		let apiReset = typeof apiExpire === 'string'
+			? Date.now() + parseInt(apiExpire) * 1000
+			: 0;
+
+		await this.modify((state) => {
+			if(state.sent < apiSent) state.sent = apiSent;
+			if(state.expires < apiReset) state.expires = apiReset;
+		});
+	}
+
+	/**
+	 * Holds back all further requests until the given number of seconds has
+	 * passed, as demanded by the API upon a rate-limit excess.
+	 * @arg {number} seconds Number of seconds to wait
+	 * @returns {Promise<void>}
+	 */
+	async lockout(seconds) {
+		if(typeof seconds !== 'number' || isNaN(seconds)) return;
+		await this.modify((state) => {
+			// The API starts a fresh time window once the lockout has passed
+			state.retry = Date.now() + seconds * 1000;
+			state.expires = state.retry;
+			state.sent = this.amount;
+		});
+		this.emit('ratelimited', { retry: this.known.retry });
+	}
+
+	/**
+	 * Tries to count one more request towards the current time window.
+	 * @returns {Promise<number>} `0` if the request was counted, otherwise the
+	 *     number of milliseconds to wait before trying again
+	 * @private
+	 */
+	async claim() {
+		let reset = false;
+		let ret = await this.modify((state) => {
+			let now = Date.now();
+			if(state.retry > now) return state.retry - now;
+
+			// Activation of a new time window by the current request
+			if(now > state.expires) {
+				state.expires = now + period + buffer;
+				state.sent = 0;
+				reset = true;
+			}
+
+			// Current request would not exceed the number of allowed requests
+			if(state.sent < this.amount) {
+				state.sent += 1;
+				return 0;
+			}
+			return Math.max(1, state.expires - now);
+		});
+		if(reset) this.emit('reset', { expires: this.known.expires });
+		return ret;
+	}
+
+	/**
+	 * Enforces compliance with the API's general rate-limit.
+	 * 
+	 * Depending on how many requests have been sent to the NS API in the
+	 * current time window already, further execution is paused for an
+	 * appropriate amount of time, until a new request can be made again
+	 * safely. Waiting requests are released by their {@link Priority}. If the
+	 * given signal is aborted during the pause, the request leaves the queue
+	 * without being counted towards the rate-limit.
+	 * @arg {?AbortSignal} signal Signal to abort the pause with
+	 * @arg {number} priority {@link Priority} lane to wait in
+	 * @returns {Promise<void>}
+	 */
+	async enforce(signal = null, priority = Priority.NORMAL) {
+		const lane = this.lanes[priority];
+		if(!lane) throw new TypeError('Invalid priority: ' + priority);
+		checkAborted(signal);
+
+		// Without others waiting, the request may be allowed to pass at once
+		let wait = null;
+		if(this.countWaiting() === 0) {
+			wait = await this.claim();
+			if(wait === 0) {
+				this.emit('scheduled', { priority, waited: 0 });
+				return;
+			}
+		}
+
+		// Otherwise, wait in line until released by the release() loop
+		this.emit('delayed', {
+			priority,
+			wait: wait ?? this.estimate(),
+			queued: this.countWaiting() + 1
+		});
+		return new Promise((resolve, reject) => {
+			/** @type {Waiter} */
+			let waiter = { resolve, reject, signal, priority,
+				since: Date.now(),
+				onAbort: () => {
+					let i = lane.indexOf(waiter);
+					if(i >= 0) lane.splice(i, 1);
+					if(this.countWaiting() === 0) this.pause?.abort();
+					reject(abortError(signal));
+				} };
+			signal?.addEventListener('abort', waiter.onAbort, { once: true });
+			lane.push(waiter);
+			this.release();
+		});
+	}
+
+	/**
+	 * Estimates how long a request joining the queue now has to wait at least,
+	 * on the basis of the records as last seen.
+	 * @returns {number} Number of milliseconds to wait
+	 * @private
+	 */
+	estimate() {
+		let now = Date.now();
+		let ret = Math.max(0, this.known.retry - now);
+		if(this.known.expires >= now && this.known.sent >= this.amount)
+			ret = Math.max(ret, this.known.expires - now);
+		return ret;
+	}
+
+	/**
+	 * Counts the requests currently waiting for their release.
+	 * @returns {number} Number of waiting requests across all lanes
+	 * @private
+	 */
+	countWaiting() {
+		return this.lanes.reduce((sum, lane) => sum + lane.length, 0);
+	}
+
+	/**
+	 * Takes the waiting request to release next out of its lane: the one
+	 * waiting the longest among those that have run out of
+	 * {@link RateLimiter#patience patience}, otherwise the first one in the
+	 * highest non-empty lane.
+	 * @returns {?Waiter} The request to release; `null` if none are waiting
+	 * @private
+	 */
+	next() {
+		let limit = Date.now() - this.patience;
+		let starved = null;
+		for(let lane of this.lanes) {
+			if(lane.length === 0 || lane[0].since > limit) continue;
+			if(!starved || lane[0].since < starved[0].since) starved = lane;
+		}
+		let lane = starved ?? this.lanes.find((lane) => lane.length > 0);
+		return lane?.shift() ?? null;
+	}
+
+	/**
+	 * Releases the requests in the {@link RateLimiter#lanes lanes} one by one,
+	 * whenever the rate-limit allows for another request to be made. Only one
+	 * release loop runs at a time.
+	 * @returns {Promise<void>}
+	 * @private
+	 */
+	async release() {
+		if(this.releasing) return;
+		this.releasing = true;
+		try {
+			while(this.countWaiting() > 0) {
+				let wait = await this.claim();
+				if(wait > 0) {
+					this.pause = createController();
+					await timeout(wait, this.pause.signal).catch(() => {});
+					this.pause = null;
+					continue;
+				}
+
+				// If all waiting requests were aborted meanwhile, don't count
+				// the request that now won't be made
+				let waiter = this.next();
+				if(!waiter) {
+					await this.modify((state) => { state.sent -= 1; });
+					break;
+				}
+				waiter.signal?.removeEventListener('abort', waiter.onAbort);
+				waiter.resolve();
+				this.emit('scheduled', {
+					priority: waiter.priority,
+					waited: Date.now() - waiter.since
+				});
+
+				// Release only 4 requests per second so the API isn't
+				// completely spammed
+				await timeout(250);
+			}
+		} catch(e) {
+			for(let lane of this.lanes)
+				for(let waiter of lane.splice(0)) waiter.reject(e);
+		} finally {
+			this.releasing = false;
+		}
+	}
+
+
+	/* === TG Requests === */
+
+	/**
+	 * Enforces compliance with the API's telegram rate-limit.
+	 * 
+	 * Depending on when the last telegram request was sent, further execution
+	 * is paused for an appropriate amount of time, until a new telegram
+	 * request can be made again safely. If the given signal is aborted during
+	 * the pause, the reserved telegram slot is given up again. If the
+	 * {@link RateLimiter#tgStore tgStore} is persistent, this also covers
+	 * telegrams sent before a restart of the process.
+	 * @arg {boolean} isRecruit `true` to enforce the rate-limit as required for
+	 *     recruitment telegrams, otherwise `false`
+	 * @arg {?AbortSignal} signal Signal to abort the pause with
+	 * @returns {Promise<void>}
+	 */
+	async enforceTG(isRecruit, signal = null) {
+		checkAborted(signal);
+
+		/* 
+		 * The TG API works slightly differently, in that it is not a flush
+		 * bucket system like the general API, but simply checks whether
+		 * sufficient time has passed since the last telegrams-related request.
+		 */
+		let previous, reserved;
+		let wait = await this.modify((state) => {
+			let now = Date.now();
+			let wait = state.last + (isRecruit ? recruitment : standard) - now;
+			previous = state.last;
+			reserved = state.last = now + Math.max(0, wait) + 200;
+			return wait;
+		}, true);
+		if (wait <= 0) return;
+		this.emit('tgThrottled', { wait, recruitment: isRecruit });
+		try {
+			await timeout(wait, signal);
+		} catch(e) {
+			await this.modify((state) => {
+				if(state.last === reserved) state.last = previous;
+			}, true);
+			throw e;
+		}
+	}
+}
 
 /**
- * Number of milliseconds that must have elapsed since a telegram was sent if a
- * recruitment telegram is to be sent next.
- * @type {number}
- * @default 180000
+ * A request waiting in the queue of a {@link RateLimiter}.
+ * @typedef Waiter
+ * @prop {Function} resolve Releases the request
+ * @prop {Function} reject Rejects the request
+ * @prop {?AbortSignal} signal Signal to abort the request with
+ * @prop {number} priority {@link Priority} lane the request waits in
+ * @prop {number} since Timestamp of when the request started waiting
+ * @prop {Function} onAbort Listener removing the request from the queue upon
+ *     abortion
  * @ignore
  */
-let recruitment = 180000
 
 /**
- * Number of milliseconds that must have elapsed since a telegram was sent if a
- * non-recruitment telegram is to be sent next.
- * @type {number}
- * @default 30000
- * @ignore
+ * @typedef RateLimitStatus
+ * Snapshot of the records of a {@link RateLimiter}.
+ * @prop {number} limit Number of requests that may be made per time window
+ * @prop {number} remaining Number of requests that may still be made in the
+ *     current time window
+ * @prop {number} queued Number of requests waiting for their release
+ * @prop {?number} expires Timestamp of when the current time window expires;
+ *     `null` if none is active
+ * @prop {?number} retry Timestamp until which the API demanded requests to be
+ *     held back; `null` if it didn't
+ * @prop {number} nextTG Timestamp from which on a non-recruitment telegram
+ *     may be sent
+ * @prop {number} nextRecruitTG Timestamp from which on a recruitment telegram
+ *     may be sent
  */
-let standard = 30000
 
 /**
- * Timestamp of when the last telegram was sent.
- * @type {number}
- * @ignore
+ * Emitted when a request is allowed to pass to the API.
+ * @event RateLimiter#scheduled
+ * @type {object}
+ * @prop {number} priority {@link Priority} lane of the request
+ * @prop {number} waited Number of milliseconds the request waited
  */
-let last = 0
-
 /**
- * Enforces compliance with the API's telegram rate-limit.
- * 
- * Depending on when the last telegram request was sent, further execution is
- * paused for an appropriate amount of time, until a new telegram request can
- * be made again safely.
- * @arg {boolean} isRecruit `true` to enforce the rate-limit as required for
- *     recruitment telegrams, otherwise `false`
- */
-async function enforceTG(isRecruit) {
-	let now = Date.now();
-
-	/* 
-	 * The TG API works slightly differently, in that it is not a flush bucket
-	 * system like the general API, but simply checks whether sufficient time
-	 * has passed since the last telegrams-related request.
-	 */
-	let wait = last + (isRecruit ? recruitment : standard) - now;
-	last = now + wait + 200;
-	if (wait > 0) await this.timeout(wait);
-}
+ * Emitted when a request has to wait before it may pass to the API.
+ * @event RateLimiter#delayed
+ * @type {object}
+ * @prop {number} priority {@link Priority} lane of the request
+ * @prop {number} wait Number of milliseconds the request has to wait at least
+ * @prop {number} queued Number of requests waiting, including this one
+ */
+/**
+ * Emitted when a new time window is started.
+ * @event RateLimiter#reset
+ * @type {object}
+ * @prop {number} expires Timestamp of when the new time window expires
+ */
+/**
+ * Emitted when the API responded with a 429 status due to a rate-limit
+ * excess.
+ * @event RateLimiter#ratelimited
+ * @type {object}
+ * @prop {number} retry Timestamp until which requests are held back
+ */
+/**
+ * Emitted when a telegram request has to wait before it may be sent.
+ * @event RateLimiter#tgThrottled
+ * @type {object}
+ * @prop {number} wait Number of milliseconds the request has to wait
+ * @prop {boolean} recruitment Whether it is a recruitment telegram
+ */
 
-exports.update = update;
-exports.enforce = enforce;
-exports.enforceTG = enforceTG;
+exports.Priority = Priority;
+exports.RateLimiter = RateLimiter;
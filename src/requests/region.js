@@ -27,6 +27,12 @@ const Region = require('../type/region');
  * Request subclass for building requests to the regions endpoint of the API.
  */
 class RegionRequest extends ShardableRequest {
+	/** @inheritdoc */
+	endpoint = 'region';
+
+	/** @inheritdoc */
+	batchable = true;
+
 	/**
 	 * @arg {string} region Name of the region to request data on
 	 */
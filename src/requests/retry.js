@@ -0,0 +1,132 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+/**
+ * Provides the policy for automatically retrying failed requests.
+ * @module nationscript/requests/retry
+ */
+
+const {
+	NetworkError,
+	RatelimitError,
+	ServerError
+} = require('../errors');
+
+/**
+ * @typedef RetryOptions
+ * @prop {number} [attempts] Maximum number of attempts to make per request,
+ *     including the first one; defaults to `3`
+ * @prop {number} [delay] Number of milliseconds to wait before the first
+ *     retry; each further retry waits twice as long as the previous one.
+ *     Defaults to `1000`
+ * @prop {number} [maxDelay] Maximum number of milliseconds to wait before a
+ *     retry; defaults to `30000`
+ * @prop {number} [jitter] Fraction between `0` and `1` by which each wait is
+ *     randomly shortened, so that requests failing together don't retry
+ *     together; defaults to `0.5`
+ * @prop {Function[]} [retryOn] Error classes upon which to retry; defaults to
+ *     {@link RatelimitError}, {@link ServerError}, and {@link NetworkError}
+ */
+
+/**
+ * Describes when and how often a failed request is automatically retried.
+ *
+ * Only requests that can be safely repeated are ever retried - the execution
+ * step of a two-step command and issue commands are not. Since each retry is
+ * a new request to the API, it passes through the rate-limiter again and
+ * counts against the rate-limit like any other request.
+ */
+class RetryPolicy {
+	/**
+	 * Maximum number of attempts to make per request, including the first.
+	 * @type {number}
+	 * @default 3
+	 */
+	attempts = 3;
+
+	/**
+	 * Number of milliseconds to wait before the first retry.
+	 * @type {number}
+	 * @default 1000
+	 */
+	delay = 1000;
+
+	/**
+	 * Maximum number of milliseconds to wait before a retry.
+	 * @type {number}
+	 * @default 30000
+	 */
+	maxDelay = 30000;
+
+	/**
+	 * Fraction by which each wait is randomly shortened.
+	 * @type {number}
+	 * @default 0.5
+	 */
+	jitter = 0.5;
+
+	/**
+	 * Error classes upon which to retry.
+	 * @type {Function[]}
+	 */
+	retryOn = [ RatelimitError, ServerError, NetworkError ];
+
+	/**
+	 * @arg {RetryOptions} options Options differing from the defaults
+	 */
+	constructor(options = {}) {
+		if(typeof options !== 'object' || options === null)
+			throw new TypeError('Invalid retry options: ' + options);
+
+		for(let key of ['attempts', 'delay', 'maxDelay', 'jitter'])
+			if(key in options) {
+				if(typeof options[key] !== 'number' || options[key] < 0)
+					throw new TypeError(`Invalid ${key}: ${options[key]}`);
+				this[key] = options[key];
+			}
+		if(this.jitter > 1) throw new TypeError('Invalid jitter: '
+			+ this.jitter);
+
+		if('retryOn' in options) {
+			if(!Array.isArray(options.retryOn)
+				|| options.retryOn.some((c) => typeof c !== 'function'))
+				throw new TypeError('Invalid error classes: '
+					+ options.retryOn);
+			this.retryOn = options.retryOn;
+		}
+	}
+
+	/**
+	 * Checks whether a request should be attempted again after the given
+	 * attempt failed with the given error.
+	 * @arg {any} error Error the attempt failed with
+	 * @arg {number} attempt Number of the failed attempt, starting at `1`
+	 * @returns {boolean} `true` to retry, `false` to give up
+	 */
+	shouldRetry(error, attempt) {
+		return attempt < this.attempts
+			&& this.retryOn.some((c) => error instanceof c);
+	}
+
+	/**
+	 * Calculates how long to wait before retrying a request after the given
+	 * attempt failed with the given error. If the API stated when to retry,
+	 * as it does along with a {@link RatelimitError}, the wait is at least
+	 * that long.
+	 * @arg {any} error Error the attempt failed with
+	 * @arg {number} attempt Number of the failed attempt, starting at `1`
+	 * @returns {number} Number of milliseconds to wait
+	 */
+	getDelay(error, attempt) {
+		let ret = Math.min(this.maxDelay, this.delay * 2 ** (attempt - 1));
+		ret *= 1 - this.jitter * Math.random();
+		if(error instanceof RatelimitError && !isNaN(error.retry))
+			ret = Math.max(ret, error.retry * 1000);
+		return Math.round(ret);
+	}
+}
+
+exports.RetryPolicy = RetryPolicy;
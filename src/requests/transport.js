@@ -0,0 +1,238 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+/**
+ * Provides the transport layers over which requests reach the NS API.
+ * @module nationscript/requests/transport
+ */
+
+const fs = require('node:fs');
+const http = require('node:http');
+const https = require('node:https');
+const { Readable } = require('node:stream');
+
+const {
+	NSError,
+	VirtualError
+} = require('../errors');
+const {
+	abortError,
+	checkAborted
+} = require('./abort');
+
+/**
+ * A readable stream of the response body, additionally carrying the status
+ * and headers of the response - just like the `IncomingMessage` it is in the
+ * case of the {@link HTTPSTransport}.
+ * @typedef {Readable & TransportResponseMeta} TransportResponse
+ */
+/**
+ * @typedef TransportResponseMeta
+ * @prop {number} statusCode HTTP status code of the response
+ * @prop {string} statusMessage HTTP status message of the response
+ * @prop {http.IncomingHttpHeaders} headers Response headers, with lowercase
+ *     names
+ */
+
+/**
+ * Superclass for all transports. A transport takes the compiled data of a
+ * request, as returned by {@link NSRequest#createRequestData}, delivers it and
+ * returns the response.
+ */
+class Transport {
+	/**
+	 * Delivers the request described by the given data. If the given signal
+	 * is aborted before the response arrives, the delivery is cancelled and
+	 * rejected with a {@link RequestAbortedError}.
+	 * @arg {import('./base').NSRequestData} data Information to send
+	 * @arg {?AbortSignal} signal Signal to abort the delivery with
+	 * @returns {Promise<TransportResponse>} The response
+	 * @virtual
+	 */
+	async execute(data, signal = null) {
+		throw new VirtualError(this.execute, this.constructor);
+	}
+}
+
+/**
+ * The default transport, making actual HTTPS requests to the NS servers.
+ */
+class HTTPSTransport extends Transport {
+	/**
+	 * Makes an HTTPS request containing the given `data`.
+	 * @inheritdoc
+	 * @returns {Promise<http.IncomingMessage>} The response
+	 */
+	async execute(data, signal = null) {
+		checkAborted(signal);
+		return new Promise((resolve, reject) => {
+			// Destroying the request also destroys its socket
+			let onAbort = () => request.destroy(abortError(signal));
+			let request = https
+				.request(data.url,
+					data.options,
+					response => {
+						signal?.removeEventListener('abort', onAbort);
+						resolve(response);
+					})
+				.once('error', e => {
+					signal?.removeEventListener('abort', onAbort);
+					reject(e);
+				});
+			signal?.addEventListener('abort', onAbort, { once: true });
+			if(data.body && data.options.method === 'POST')
+				request.write(data.body);
+			request.end();
+		});
+	}
+}
+
+/**
+ * @typedef MockMatcher
+ * Describes which requests a {@link MockTransport} response applies to. Any
+ * property that is not given matches all requests.
+ * @prop {string} [method] HTTP method, i.e. `GET` or `POST`
+ * @prop {string} [url] Target URL, without a query string
+ * @prop {Object.<string, string|number>} [args] Arguments the request must
+ *     contain with exactly the given values; other arguments are not checked
+ */
+/**
+ * @typedef MockResponse
+ * Describes a canned response of a {@link MockTransport}.
+ * @prop {number} [status] HTTP status code; defaults to `200`
+ * @prop {http.OutgoingHttpHeaders} [headers] Response headers
+ * @prop {string|Buffer} [body] Response body
+ * @prop {string} [file] Path to a file to use as response body instead
+ */
+/**
+ * @callback MockResponder
+ * Creates a {@link MockResponse} on the basis of the received request data.
+ * @arg {import('./base').NSRequestData} data Information sent
+ * @returns {MockResponse} The response to return
+ */
+
+/**
+ * A transport that never touches the network, instead answering requests with
+ * canned responses - for example the XML files in the `tests/api-response/`
+ * directory. Useful for testing code that uses NationScript.
+ *
+ * Responses are registered together with a {@link MockMatcher}, and each
+ * request is answered with the first registered response whose matcher fits
+ * it. If none fits, the request fails with an {@link NSError}. All requests
+ * received are recorded in the {@link MockTransport#received received} list.
+ */
+class MockTransport extends Transport {
+	/**
+	 * Registered matchers and their responses, in order of registration.
+	 * @type {{matcher: MockMatcher, response: MockResponse|MockResponder}[]}
+	 * @private
+	 */
+	responses = [];
+
+	/**
+	 * Copies of the data of all requests this transport received, in order
+	 * of receipt.
+	 * @type {import('./base').NSRequestData[]}
+	 */
+	received = [];
+
+	/**
+	 * Registers a response to return for requests fitting the given matcher.
+	 * @arg {MockMatcher} matcher Requests to answer with the response
+	 * @arg {MockResponse|MockResponder} response Response to return
+	 * @returns {this} The transport, for chaining
+	 */
+	addResponse(matcher, response) {
+		if(typeof matcher !== 'object' || matcher === null)
+			throw new TypeError('Invalid matcher: ' + matcher);
+		if(typeof response !== 'object' && typeof response !== 'function')
+			throw new TypeError('Invalid response: ' + response);
+		this.responses.push({ matcher, response });
+		return this;
+	}
+
+	/**
+	 * Removes all registered responses and received request records.
+	 * @returns {this} The transport, for chaining
+	 */
+	reset() {
+		this.responses = [];
+		this.received = [];
+		return this;
+	}
+
+	/** @inheritdoc */
+	async execute(data, signal = null) {
+		checkAborted(signal);
+		// Record a copy, as the request keeps modifying its headers object
+		this.received.push({ ...data, options: {
+			...data.options,
+			headers: { ...data.options.headers }
+		} });
+		let found = this.responses.find((r) => matches(r.matcher, data));
+		if(!found) throw new NSError('No mock response for '
+			+ data.options.method + ' ' + data.url
+			+ (data.body ? '?' + data.body : ''));
+
+		let res = typeof found.response === 'function'
+			? found.response(data)
+			: found.response;
+		let status = res.status ?? 200;
+
+		/** @type {TransportResponse} */
+		let ret = Object.assign(Readable.from(typeof res.file === 'string'
+			? [ fs.readFileSync(res.file) ]
+			: [ Buffer.from(res.body ?? '') ]), {
+			statusCode: status,
+			statusMessage: http.STATUS_CODES[status] ?? '',
+			headers: {}
+		});
+		for(let name in res.headers ?? {})
+			ret.headers[name.toLowerCase()] = res.headers[name];
+		return ret;
+	}
+}
+
+/**
+ * Checks whether the given request data fits the given matcher.
+ * @arg {MockMatcher} matcher Matcher to check against
+ * @arg {import('./base').NSRequestData} data Request data to check
+ * @returns {boolean} `true` if the data fits, otherwise `false`
+ * @ignore
+ */
+function matches(matcher, data) {
+	let [ url, query ] = data.url.split('?');
+	if(matcher.method && matcher.method !== data.options.method) return false;
+	if(matcher.url && matcher.url !== url) return false;
+
+	let args = parseArgs([ query, data.body ].filter((a) => a).join('&'));
+	for(let key in matcher.args ?? {})
+		if(args[key] !== String(matcher.args[key])) return false;
+	return true;
+}
+
+/**
+ * Parses a string of the format `key1=value1&key2=value2&...` into an object.
+ * Values are not decoded, so that they can be compared as given to
+ * {@link DataRequest#setArgument}.
+ * @arg {string} str String to parse
+ * @returns {Object.<string, string>} The contained key-value pairs
+ * @ignore
+ */
+function parseArgs(str) {
+	let ret = {};
+	for(let pair of str.split('&')) {
+		if(!pair) continue;
+		let i = pair.indexOf('=');
+		if(i < 0) ret[pair] = '';
+		else ret[pair.substring(0, i)] = pair.substring(i + 1);
+	}
+	return ret;
+}
+
+exports.Transport = Transport;
+exports.HTTPSTransport = HTTPSTransport;
+exports.MockTransport = MockTransport;
@@ -20,6 +20,9 @@ const WorldAssembly = require('../type/world-assembly');
  * Request subclass for building requests to the WA endpoint of the API.
  */
 class WARequest extends ShardableRequest {
+	/** @inheritdoc */
+	endpoint = 'wa';
+
 	constructor(council) {
 		super();
 		this.mandate('wa')
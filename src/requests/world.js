@@ -32,6 +32,8 @@ const World = require('../type/world');
  * Request subclass for building requests to the world endpoint of the API.
  */
 class WorldRequest extends ShardableRequest {
+	/** @inheritdoc */
+	batchable = true;
 
 	/**
 	 * Define one or more {@link CensusScale}s to query. Affects requests
@@ -0,0 +1,538 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+/**
+ * Provides the client for the Server-Sent Events stream on which NationStates
+ * publishes happenings as they occur.
+ * @module nationscript/sse
+ */
+
+const { EventEmitter } = require('node:events');
+const http = require('node:http');
+const https = require('node:https');
+
+const {
+	NSError,
+	APIError,
+	NetworkError
+} = require('./errors');
+const { listToIDForm } = require('./requests/base');
+const types = require('./types');
+
+/**
+ * @typedef ServerSentEvent
+ * A single event received on an event stream.
+ * @prop {string} type Type of the event; `message` unless stated otherwise
+ * @prop {string} data Data of the event
+ * @prop {?string} id ID of the event, if given
+ * @ignore
+ */
+
+/**
+ * Connects to the Server-Sent Events stream of NationStates and emits the
+ * happenings published on it as they occur - far quicker than polling the
+ * happenings shard, and without using up any of the rate-limit.
+ *
+ * The happenings to receive are selected by buckets: those of specific
+ * nations or regions, and those matching specific {@link HappeningsFilter}s.
+ * At least one bucket must be added before connecting.
+ *
+ * Should the connection be lost, the stream reconnects after a delay, asking
+ * for the happenings it missed in the meantime by sending the ID of the last
+ * one it received as `Last-Event-ID` header. A connection on which nothing
+ * has been received for a while is considered lost as well, since it may have
+ * broken without either side noticing. Only if the server refuses the
+ * connection is the stream closed with an `error` event.
+ *
+ * The happenings can be received either via `happening` events, or by
+ * iterating over the stream with `for await`.
+ * @fires HappeningsStream#open
+ * @fires HappeningsStream#happening
+ * @fires HappeningsStream#reconnect
+ * @fires HappeningsStream#error
+ * @fires HappeningsStream#close
+ */
+class HappeningsStream extends EventEmitter {
+	/**
+	 * Client whose user agent to connect with.
+	 * @type {import('./client').NSClient}
+	 * @private
+	 */
+	client;
+
+	/**
+	 * Buckets of happenings to receive.
+	 * @type {string[]}
+	 * @private
+	 */
+	buckets = [];
+
+	/**
+	 * URL under which the buckets are appended to connect to the stream.
+	 * @type {string}
+	 * @default 'https://www.nationstates.net/api/'
+	 * @private
+	 */
+	url = 'https://www.nationstates.net/api/';
+
+	/**
+	 * ID of the last event received; `null` if none has been yet.
+	 * @type {?string}
+	 * @private
+	 */
+	lastID = null;
+
+	/**
+	 * Number of milliseconds to wait before reconnecting. May be changed by
+	 * the server.
+	 * @type {number}
+	 * @default 3000
+	 * @private
+	 */
+	retry = 3000;
+
+	/**
+	 * Number of milliseconds without receiving anything after which the
+	 * connection is considered lost; `null` to wait indefinitely.
+	 * @type {?number}
+	 * @default 120000
+	 * @private
+	 */
+	idleTimeout = 120000;
+
+	/**
+	 * Whether the stream should currently be connected.
+	 * @type {boolean}
+	 * @private
+	 */
+	active = false;
+
+	/**
+	 * The current HTTP request; `null` while not connected.
+	 * @type {?http.ClientRequest}
+	 * @private
+	 */
+	request = null;
+
+	/**
+	 * Timer of the pending reconnection, if any.
+	 * @type {?NodeJS.Timeout}
+	 * @private
+	 */
+	timer = null;
+
+	/**
+	 * @arg {import('./client').NSClient} client Client whose user agent to
+	 *     connect with
+	 */
+	constructor(client) {
+		super();
+		this.client = client;
+	}
+
+	/**
+	 * ID of the last event received, with which missed happenings are asked
+	 * for upon reconnecting; `null` if no event has been received yet.
+	 * @type {?string}
+	 */
+	get lastEventID() {
+		return this.lastID;
+	}
+
+	/**
+	 * Whether the stream is currently connected or trying to connect.
+	 * @type {boolean}
+	 */
+	get connected() {
+		return this.active;
+	}
+
+	/**
+	 * Receive the happenings of the given nations.
+	 * @arg {...string} nations Names of the nations
+	 * @returns {this} The stream, for chaining
+	 */
+	addNations(...nations) {
+		this.buckets.push(...listToIDForm(nations)
+			.map((nation) => 'nation:' + nation));
+		return this;
+	}
+
+	/**
+	 * Receive the happenings of the given regions.
+	 * @arg {...string} regions Names of the regions
+	 * @returns {this} The stream, for chaining
+	 */
+	addRegions(...regions) {
+		this.buckets.push(...listToIDForm(regions)
+			.map((region) => 'region:' + region));
+		return this;
+	}
+
+	/**
+	 * Receive the happenings matching the given filters.
+	 * @arg {...string} filters {@link HappeningsFilter}s to receive the
+	 *     happenings of
+	 * @returns {this} The stream, for chaining
+	 */
+	addFilters(...filters) {
+		this.buckets.push(...filters);
+		return this;
+	}
+
+	/**
+	 * Set the URL to connect to, e.g. that of a local stand-in server for
+	 * testing. The buckets are appended to it, joined by `+`.
+	 * @arg {string} url URL to connect to
+	 * @returns {this} The stream, for chaining
+	 */
+	setURL(url) {
+		if(typeof url !== 'string' || !/^https?:\/\//.test(url))
+			throw new TypeError('Invalid URL: ' + url);
+		this.url = url.endsWith('/') ? url : url + '/';
+		return this;
+	}
+
+	/**
+	 * Set the ID of the last event already handled, so that the server sends
+	 * the happenings after it upon connecting.
+	 * @arg {?(string|number)} id ID of the event; `null` to only receive new
+	 *     happenings
+	 * @returns {this} The stream, for chaining
+	 */
+	setLastEventID(id) {
+		this.lastID = id === null ? null : String(id);
+		return this;
+	}
+
+	/**
+	 * Set how long to wait before reconnecting after losing the connection,
+	 * unless the server demands otherwise.
+	 * @arg {number} delay Number of milliseconds to wait
+	 * @returns {this} The stream, for chaining
+	 */
+	setReconnectDelay(delay) {
+		if(typeof delay !== 'number' || delay < 0)
+			throw new TypeError('Invalid reconnect delay: ' + delay);
+		this.retry = delay;
+		return this;
+	}
+
+	/**
+	 * Set how long to wait for anything to be received on the connection
+	 * before considering it lost and reconnecting.
+	 * @arg {?number} timeout Number of milliseconds to wait; `null` to wait
+	 *     indefinitely
+	 * @returns {this} The stream, for chaining
+	 */
+	setIdleTimeout(timeout) {
+		if(timeout !== null && (typeof timeout !== 'number' || timeout <= 0))
+			throw new TypeError('Invalid idle timeout: ' + timeout);
+		this.idleTimeout = timeout;
+		return this;
+	}
+
+	/**
+	 * Connects to the stream, unless it is connected already.
+	 * @returns {this} The stream, for chaining
+	 * @throws {NSError} if no user agent is set or no buckets are added
+	 */
+	connect() {
+		if(this.active) return this;
+		if(this.client.useragent == null)
+			throw new NSError('Missing UserAgent');
+		if(this.buckets.length === 0)
+			throw new NSError('No happenings buckets to connect to');
+		this.active = true;
+		this.open();
+		return this;
+	}
+
+	/**
+	 * Disconnects from the stream, and stops reconnecting.
+	 * @returns {this} The stream, for chaining
+	 */
+	close() {
+		if(!this.active) return this;
+		this.active = false;
+		clearTimeout(this.timer);
+		this.timer = null;
+		this.request?.destroy();
+		this.request = null;
+		this.emit('close');
+		return this;
+	}
+
+	/**
+	 * Receives the happenings published on the stream, connecting to it if
+	 * it isn't connected yet. Happenings arriving while the previous one is
+	 * still being handled are queued. If the consumer stops iterating, the
+	 * stream is closed.
+	 * @returns {AsyncGenerator<types.IDHappening>} The happenings
+	 * @throws {APIError} if the server refuses the connection
+	 */
+	async *stream() {
+		/** @type {types.IDHappening[]} */
+		let queue = [];
+		let failure = null;
+		let closed = false;
+		let wake = null;
+		let notify = () => {
+			wake?.();
+			wake = null;
+		};
+		let onHappening = (happening) => {
+			queue.push(happening);
+			notify();
+		};
+		let onError = (err) => {
+			failure = err;
+			notify();
+		};
+		let onClose = () => {
+			closed = true;
+			notify();
+		};
+		this.on('happening', onHappening);
+		this.on('error', onError);
+		this.on('close', onClose);
+		try {
+			this.connect();
+			for(;;) {
+				if(queue.length > 0) {
+					yield queue.shift();
+					continue;
+				}
+				if(failure) throw failure;
+				if(closed) return;
+				await new Promise((resolve) => wake = resolve);
+			}
+		} finally {
+			this.off('happening', onHappening);
+			this.off('error', onError);
+			this.off('close', onClose);
+			this.close();
+		}
+	}
+
+	/**
+	 * Allows iterating over this stream via `for await`, equivalent to
+	 * iterating over the return value of {@link HappeningsStream#stream
+	 * stream}.
+	 * @returns {AsyncGenerator<types.IDHappening>} The happenings
+	 */
+	[Symbol.asyncIterator]() {
+		return this.stream();
+	}
+
+	/**
+	 * Opens a new connection to the stream.
+	 * @private
+	 */
+	open() {
+		let url = this.url + this.buckets.join('+');
+		let headers = {
+			'User-Agent': this.client.useragent,
+			'Accept': 'text/event-stream',
+			'Cache-Control': 'no-cache'
+		};
+		if(this.lastID !== null) headers['Last-Event-ID'] = this.lastID;
+
+		// Make sure to handle the end of each connection only once, since
+		// both the request and the response may report it
+		let ended = false;
+		let idle = null;
+		let end = (err) => {
+			clearTimeout(idle);
+			if(ended) return;
+			ended = true;
+			if(this.request === request) this.request = null;
+			this.reconnect(err);
+		};
+
+		// Destroying the response makes it report the loss of the connection
+		let timeout = this.idleTimeout;
+		let watch = (res) => {
+			if(timeout === null) return;
+			clearTimeout(idle);
+			idle = setTimeout(() => res.destroy(new Error(
+				`Nothing received for ${timeout}ms`)), timeout);
+		};
+
+		let request = this.request = (url.startsWith('http:') ? http : https)
+			.get(url, { headers }, (res) => {
+				if(res.statusCode >= 500) {
+					res.resume();
+					end(new APIError(`${res.statusCode} ${res.statusMessage}`));
+					return;
+				}
+				if(res.statusCode !== 200) {
+					ended = true;
+					res.resume();
+					this.fail(new APIError(
+						`${res.statusCode} ${res.statusMessage}`));
+					return;
+				}
+				this.emit('open');
+
+				let parse = createParser((event) => this.dispatch(event),
+					(delay) => this.retry = delay);
+				res.setEncoding('utf-8');
+				res.on('data', (chunk) => {
+					watch(res);
+					parse(chunk);
+				});
+				watch(res);
+				res.on('error', (err) => end(new NetworkError(err)));
+				res.once('close', () => end(null));
+			})
+			.on('error', (err) => end(new NetworkError(err)));
+	}
+
+	/**
+	 * Handles an event received on the stream, emitting the happening it
+	 * reports.
+	 * @arg {ServerSentEvent} event Event received
+	 * @private
+	 */
+	dispatch(event) {
+		if(event.id !== null) this.lastID = event.id;
+
+		let payload;
+		try {
+			payload = JSON.parse(event.data);
+		} catch(e) {
+			return;	// Not a happening, e.g. a keep-alive message
+		}
+		if(typeof payload?.str !== 'string') return;
+
+		/** @type {types.IDHappening} */
+		let happening = {
+			id: Number(payload.id ?? event.id),
+			timestamp: Number(payload.time),
+			text: payload.str
+		};
+		this.emit('happening', happening);
+	}
+
+	/**
+	 * Schedules reconnecting after the connection was lost.
+	 * @arg {?Error} cause Why the connection was lost; `null` if the server
+	 *     ended it
+	 * @private
+	 */
+	reconnect(cause) {
+		if(!this.active) return;
+		this.emit('reconnect', { delay: this.retry, cause });
+		this.timer = setTimeout(() => {
+			this.timer = null;
+			if(this.active) this.open();
+		}, this.retry);
+	}
+
+	/**
+	 * Closes the stream after the server refused the connection.
+	 * @arg {Error} err Error describing the refusal
+	 * @private
+	 */
+	fail(err) {
+		this.request = null;
+		this.close();
+		this.emit('error', err);
+	}
+}
+
+/**
+ * Creates a function parsing the chunks of an event stream, as described by
+ * the Server-Sent Events specification.
+ * @arg {(event: ServerSentEvent) => void} handle Function to hand each
+ *     complete event to
+ * @arg {(delay: number) => void} setRetry Function to hand the reconnection
+ *     delays demanded by the server to
+ * @returns {(chunk: string) => void} The parsing function
+ * @ignore
+ */
+function createParser(handle, setRetry) {
+	let buffer = '';
+	let type = '';
+	let data = [];
+	let id = null;
+	let carriage = false;
+	return (chunk) => {
+		// A `\r` ending the previous chunk may be followed by the `\n` of the
+		// same line break
+		if(carriage && chunk.startsWith('\n')) chunk = chunk.substring(1);
+		carriage = chunk.endsWith('\r');
+
+		buffer += chunk;
+		let lines = buffer.split(/\r\n|\r|\n/);
+		buffer = lines.pop();
+
+		for(let line of lines) {
+			if(line === '') {
+				if(data.length > 0 || id !== null) handle({
+					type: type || 'message',
+					data: data.join('\n'),
+					id
+				});
+				type = '';
+				data = [];
+				id = null;
+				continue;
+			}
+			if(line.startsWith(':')) continue;	// Comment
+
+			let colon = line.indexOf(':');
+			let field = colon < 0 ? line : line.substring(0, colon);
+			let value = colon < 0 ? '' : line.substring(colon + 1);
+			if(value.startsWith(' ')) value = value.substring(1);
+			switch(field) {
+				case 'event':
+					type = value;
+					break;
+				case 'data':
+					data.push(value);
+					break;
+				case 'id':
+					if(!value.includes('\0')) id = value;
+					break;
+				case 'retry':
+					if(/^\d+$/.test(value)) setRetry(parseInt(value));
+					break;
+			}
+		}
+	};
+}
+
+/**
+ * Emitted once the stream is connected, including after reconnecting.
+ * @event HappeningsStream#open
+ */
+/**
+ * Emitted for each happening published on the stream.
+ * @event HappeningsStream#happening
+ * @type {types.IDHappening}
+ */
+/**
+ * Emitted when the connection was lost and is about to be reestablished.
+ * @event HappeningsStream#reconnect
+ * @type {object}
+ * @prop {number} delay Number of milliseconds until reconnecting
+ * @prop {?Error} cause Why the connection was lost; `null` if the server
+ *     ended it
+ */
+/**
+ * Emitted when the server refuses the connection, after which the stream is
+ * closed.
+ * @event HappeningsStream#error
+ * @type {APIError}
+ */
+/**
+ * Emitted when the stream is closed.
+ * @event HappeningsStream#close
+ */
+
+exports.HappeningsStream = HappeningsStream;
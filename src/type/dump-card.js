@@ -19,14 +19,16 @@ const Trophy = require('./trophy');
  * @type {import('../requests/dump').DumpFactoryConstructor<types.DumpCard>}
  * @ignore
  */
-exports.createArray = (decider) => (root) => new NSFactory()
-	// The actual data is wrapped in a <SET> tag
-	.onTag('SET', (me, attrs) => me
-		.build('')
-		.assignSubFactory(new DumpFactory(decider)
-			.onTag('CARD', (me, attrs) => me
-				.build('')
-				.assignSubFactory(createDumpCard(attrs)))));
+exports.createArray = (decider, consumer = null, fields = null) => (root) =>
+	new NSFactory()
+		// The actual data is wrapped in a <SET> tag
+		.onTag('SET', (me, attrs) => me
+			.build('')
+			.assignSubFactory(new DumpFactory(decider, consumer)
+				.onTag('CARD', (me, attrs) => me
+					.build('')
+					.assignSubFactory(createDumpCard(attrs)
+						.project(fields)))));
 
 /**
  * Since the Cards dump names its fields differently, a special factory just to
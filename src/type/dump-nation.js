@@ -12,7 +12,8 @@ const types = require('../types');
  * @type {import('../requests/dump').DumpFactoryConstructor<types.DumpNation>}
  * @ignore
  */
-exports.createArray = (decider) => (root) => new Factory.DumpFactory(decider)
-	.onTag('NATION', (me, attrs) => me
-		.build('')
-		.assignSubFactory(Nation.create([])(attrs)));
+exports.createArray = (decider, consumer = null, fields = null) => (root) =>
+	new Factory.DumpFactory(decider, consumer)
+		.onTag('NATION', (me, attrs) => me
+			.build('')
+			.assignSubFactory(Nation.create([])(attrs).project(fields)));
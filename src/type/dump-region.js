@@ -15,7 +15,8 @@ const Region = require('./region');
  * @type {import('../requests/dump').DumpFactoryConstructor<types.DumpRegion>}
  * @ignore
  */
-exports.createArray = (decider) => (root) => new DumpFactory(decider)
-	.onTag('REGION', (me, attrs) => me
-		.build('')
-		.assignSubFactory(Region.create([])(attrs)));
+exports.createArray = (decider, consumer = null, fields = null) => (root) =>
+	new DumpFactory(decider, consumer)
+		.onTag('REGION', (me, attrs) => me
+			.build('')
+			.assignSubFactory(Region.create([])(attrs).project(fields)));